@@ -0,0 +1,237 @@
+// Accès aux tables Airtable (abonnements, services, journal des factures, consommations)
+import fs from 'fs';
+import axios from 'axios';
+import Airtable from 'airtable';
+import { createRateLimiter } from './throttle.js';
+
+// Correspondance des tables et des champs (airtable-schema.json, complétée par AIRTABLE_SCHEMA_PATH)
+const DEFAULT_SCHEMA_PATH = new URL('../airtable-schema.json', import.meta.url);
+
+// Champs indispensables à la facturation ; les autres sont optionnels
+const REQUIRED_FIELDS = {
+  abonnements: ['ID_Sellsy_abonné', 'Statut', 'Jour de facturation', 'Services liés'],
+  services: ['Nom du service', 'Prix HT', 'ID_Sellsy_abonné', 'ID Sellsy', 'Occurrences restantes', 'Occurrences totales', 'Mois facturés', 'Dernière période facturée', 'Catégorie', 'Actif'],
+  factures: ['Abonnement', 'Services', 'Période', 'Référence', 'Date', 'ID facture Sellsy', 'Statut validation'],
+  consommations: ['Abonnement', 'Période', 'Libellé', 'Quantité', 'Prix unitaire HT', 'Facturée'],
+};
+
+// Base, limiteur et correspondance créés au premier appel, une fois les variables d'environnement chargées
+let base = null;
+let limiter = null;
+let schema = null;
+
+/**
+ * Retourne la correspondance des tables et des champs Airtable
+ * Les noms utilisés dans le code (clés de "fields") sont associés aux noms des colonnes dans Airtable
+ * @returns {Object} - La correspondance, par table (abonnements, services, factures, consommations)
+ */
+export function getSchema() {
+  if (schema) return schema;
+
+  schema = JSON.parse(fs.readFileSync(DEFAULT_SCHEMA_PATH, 'utf8'));
+  if (process.env.AIRTABLE_SCHEMA_PATH) {
+    let custom;
+    try {
+      custom = JSON.parse(fs.readFileSync(process.env.AIRTABLE_SCHEMA_PATH, 'utf8'));
+    } catch (error) {
+      throw new Error(`Correspondance Airtable illisible (${process.env.AIRTABLE_SCHEMA_PATH}) : ${error.message}`);
+    }
+    // Seuls les noms renseignés remplacent ceux par défaut
+    for (const [key, table] of Object.entries(custom)) {
+      if (!schema[key]) {
+        throw new Error(`Table inconnue dans ${process.env.AIRTABLE_SCHEMA_PATH} : ${key} (attendu : ${Object.keys(schema).join(', ')})`);
+      }
+      schema[key] = { ...schema[key], ...table, fields: { ...schema[key].fields, ...table.fields } };
+    }
+  }
+
+  return schema;
+}
+
+/**
+ * Liste les champs attendus d'une table, avec leur nom dans Airtable
+ * @param {string} key - La table (abonnements, services, factures)
+ * @returns {{name: string, column: string, required: boolean}[]} - Les champs
+ */
+export function getExpectedFields(key) {
+  return Object.entries(getSchema()[key].fields).map(([name, column]) => ({
+    name,
+    column,
+    required: REQUIRED_FIELDS[key].includes(name),
+  }));
+}
+
+/**
+ * Convertit les champs d'un enregistrement Airtable vers les noms utilisés dans le code
+ * @param {string} key - La table
+ * @param {Object} record - L'enregistrement Airtable
+ * @returns {{id: string, fields: Object}} - L'enregistrement
+ */
+function fromAirtable(key, record) {
+  const fields = {};
+  const columns = new Map(Object.entries(getSchema()[key].fields).map(([name, column]) => [column, name]));
+  for (const [column, value] of Object.entries(record.fields || {})) {
+    fields[columns.get(column) || column] = value;
+  }
+  return { id: record.id, fields };
+}
+
+/**
+ * Convertit des champs à écrire vers les noms des colonnes Airtable
+ * @param {string} key - La table
+ * @param {Object} fields - Les champs, avec les noms utilisés dans le code
+ * @returns {Object} - Les champs, avec les noms des colonnes
+ */
+function toAirtable(key, fields) {
+  const mapping = getSchema()[key].fields;
+  return Object.fromEntries(Object.entries(fields).map(([name, value]) => [mapping[name] || name, value]));
+}
+
+/**
+ * Convertit les références de champs d'une formule ({Nom du champ}) vers les noms des colonnes Airtable
+ * @param {string} key - La table
+ * @param {string} formula - La formule
+ * @returns {string} - La formule
+ */
+function formulaToAirtable(key, formula) {
+  const mapping = getSchema()[key].fields;
+  return formula.replace(/\{([^}]+)\}/g, (match, name) => (mapping[name] ? `{${mapping[name]}}` : match));
+}
+
+/**
+ * Retourne une table de la base Airtable configurée, dont les champs sont lus et écrits
+ * avec les noms utilisés dans le code (select, find, create, update)
+ * @param {string} key - La table (abonnements, services, factures)
+ * @returns {Object} - La table
+ */
+function getTable(key) {
+  if (!base) {
+    base = new Airtable({ apiKey: process.env.AIRTABLE_API_KEY }).base(process.env.AIRTABLE_BASE_ID);
+  }
+  const table = base(getSchema()[key].table);
+
+  return {
+    select(params = {}) {
+      const query = table.select(params.filterByFormula
+        ? { ...params, filterByFormula: formulaToAirtable(key, params.filterByFormula) }
+        : params);
+      return { all: async () => (await query.all()).map((record) => fromAirtable(key, record)) };
+    },
+    find: async (id) => fromAirtable(key, await table.find(id)),
+    create: async (fields) => fromAirtable(key, await table.create(toAirtable(key, fields))),
+    update: async (id, fields) => fromAirtable(key, await table.update(id, toAirtable(key, fields))),
+  };
+}
+
+/**
+ * Lit la structure de la base (tables, champs et vues) via l'API de métadonnées Airtable
+ * (le jeton doit avoir le droit schema.bases:read)
+ * @returns {Promise<Object[]>} - Les tables ({ name, fields: [{ name, type }], views: [{ name }] })
+ */
+export async function getBaseTables() {
+  const response = await airtableRequest(() => axios.get(
+    `https://api.airtable.com/v0/meta/bases/${process.env.AIRTABLE_BASE_ID}/tables`,
+    { headers: { Authorization: `Bearer ${process.env.AIRTABLE_API_KEY}` } }
+  ));
+  return response.data.tables || [];
+}
+
+/**
+ * Exécute un appel Airtable en respectant la limite de requêtes par seconde
+ * (5 par base selon la documentation Airtable, AIRTABLE_RATE_LIMIT pour la modifier)
+ * @param {Function} fn - L'appel à exécuter
+ * @returns {Promise<*>} - Le résultat de l'appel
+ */
+export function airtableRequest(fn) {
+  if (!limiter) {
+    limiter = createRateLimiter(parseFloat(process.env.AIRTABLE_RATE_LIMIT) || 5);
+  }
+  return limiter(fn);
+}
+
+/**
+ * @returns {Object} - La table des abonnements
+ */
+export function getAbonnementsTable() {
+  return getTable('abonnements');
+}
+
+/**
+ * @returns {Object} - La table des services
+ */
+export function getServicesTable() {
+  return getTable('services');
+}
+
+/**
+ * @returns {Object} - La table du journal des factures
+ */
+export function getFacturesTable() {
+  return getTable('factures');
+}
+
+/**
+ * @returns {Object} - La table des consommations (lignes facturées à la quantité)
+ */
+export function getConsommationsTable() {
+  return getTable('consommations');
+}
+
+/**
+ * Enregistre une tentative de facturation dans le journal des factures
+ * @param {Object} entry - La tentative de facturation
+ * @param {string} entry.abonnementId - L'ID Airtable de l'abonnement
+ * @param {string[]} entry.serviceIds - Les IDs Airtable des services facturés
+ * @param {string} entry.period - La période facturée (YYYY-MM)
+ * @param {string} entry.reference - La ou les références d'idempotence
+ * @param {string} entry.date - La date de facturation (YYYY-MM-DD)
+ * @param {string|number} [entry.invoiceId] - L'ID de la facture Sellsy
+ * @param {string} [entry.invoiceNumber] - Le numéro de la facture Sellsy
+ * @param {number} [entry.amountExclTax] - Le montant HT
+ * @param {number} [entry.amountInclTax] - Le montant TTC
+ * @param {string} entry.status - Le statut de validation (Validée, Non validée, À valider, Rejetée, Échec)
+ * @param {string} [entry.error] - Le message d'erreur
+ * @param {string} [entry.entity] - L'entité dont le compte Sellsy porte la facture
+ * @returns {Promise<Object>} - L'enregistrement créé
+ */
+export async function createInvoiceLog(entry) {
+  const fields = {
+    'Abonnement': [entry.abonnementId],
+    'Services': entry.serviceIds,
+    'Période': entry.period,
+    'Référence': entry.reference,
+    'Date': entry.date,
+    'Statut validation': entry.status,
+  };
+  if (entry.invoiceId) fields['ID facture Sellsy'] = String(entry.invoiceId);
+  if (entry.invoiceNumber) fields['Numéro facture'] = entry.invoiceNumber;
+  if (entry.amountExclTax !== undefined) fields['Montant HT'] = entry.amountExclTax;
+  if (entry.amountInclTax !== undefined) fields['Montant TTC'] = entry.amountInclTax;
+  if (entry.error) fields['Erreur'] = entry.error;
+  if (entry.entity) fields['Entité'] = entry.entity;
+  if (entry.coveredStart) fields['Début période'] = entry.coveredStart;
+  if (entry.coveredEnd) fields['Fin période'] = entry.coveredEnd;
+
+  return airtableRequest(() => getFacturesTable().create(fields));
+}
+
+/**
+ * Ajoute un fichier à un champ pièce jointe d'un enregistrement (API d'envoi de fichiers Airtable, 5 Mo maximum)
+ * @param {string} key - La table (abonnements, services, factures)
+ * @param {string} recordId - L'ID de l'enregistrement
+ * @param {string} field - Le champ pièce jointe, avec son nom utilisé dans le code
+ * @param {Object} file - Le fichier
+ * @param {string} file.filename - Le nom du fichier
+ * @param {string} file.contentType - Le type MIME (ex. application/pdf)
+ * @param {Buffer} file.content - Le contenu du fichier
+ * @returns {Promise<Object>} - La réponse de l'API
+ */
+export async function uploadAttachment(key, recordId, field, { filename, contentType, content }) {
+  const column = getSchema()[key].fields[field] || field;
+  const response = await airtableRequest(() => axios.post(
+    `https://content.airtable.com/v0/${process.env.AIRTABLE_BASE_ID}/${recordId}/${encodeURIComponent(column)}/uploadAttachment`,
+    { contentType, filename, file: content.toString('base64') },
+    { headers: { Authorization: `Bearer ${process.env.AIRTABLE_API_KEY}` } }
+  ));
+  return response.data;
+}
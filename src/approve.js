@@ -0,0 +1,316 @@
+// Validation des factures créées en brouillon (mode brouillon), après relecture
+import dotenv from 'dotenv';
+import { getFacturesTable, getServicesTable, getAbonnementsTable, getConsommationsTable, airtableRequest } from './airtable.js';
+import { getSellsyClient } from './sellsy.js';
+import { archiveInvoice } from './archive.js';
+import { removeLedgerEntry } from './ledger.js';
+import { formatDate, businessToday, getPeriodicity, buildUsageReference, parseCliArgs, requireEnv } from './utils.js';
+import { logger, withLogContext } from './logger.js';
+
+dotenv.config();
+
+requireEnv([
+  'AIRTABLE_API_KEY',
+  'AIRTABLE_BASE_ID',
+  'SELLSY_CLIENT_ID',
+  'SELLSY_CLIENT_SECRET',
+]);
+
+const facturesTable = getFacturesTable();
+const servicesTable = getServicesTable();
+const abonnementsTable = getAbonnementsTable();
+
+// Statut du journal des factures d'un brouillon en attente de validation
+const PENDING = 'À valider';
+
+// Statut du journal des factures d'un brouillon annulé ou supprimé dans Sellsy
+const REJECTED = 'Rejetée';
+
+// Options de la ligne de commande : [--invoice=<ID facture Sellsy>[,<ID>...] | --all] [--date=YYYY-MM-DD]
+const cliOptions = parseCliArgs(process.argv.slice(2));
+
+/**
+ * Fonction principale : liste les brouillons en attente, valide ceux sélectionnés
+ * puis consomme leur occurrence (un brouillon annulé ou supprimé dans Sellsy est rejeté)
+ */
+async function main() {
+  try {
+    const date = resolveValidationDate(cliOptions);
+    const drafts = await fetchPendingDrafts();
+
+    if (!drafts.length) {
+      logger.info('✅ Aucun brouillon en attente de validation');
+      return;
+    }
+    printDrafts(drafts);
+
+    const selected = selectDrafts(drafts, cliOptions);
+    if (!selected) {
+      logger.info('💡 Relisez les brouillons dans Sellsy (ils restent modifiables), puis validez-les avec --invoice=<ID>[,<ID>...] ou --all');
+      return;
+    }
+
+    const results = [];
+    for (const log of selected) {
+      results.push(await withLogContext({
+        abonnementId: (log.fields['Abonnement'] || []).join('+'),
+        serviceId: log.fields['Services'] || [],
+      }, () => approveDraft(log, date)));
+    }
+
+    const rejected = results.filter((result) => result === 'rejected').length;
+    const errors = results.filter((result) => result === 'failed').length;
+    logger.info(`✅ ${results.filter((result) => result === 'validated').length} brouillon(s) validé(s) sur ${selected.length}` +
+      (rejected ? `, ${rejected} rejeté(s) (annulé(s) ou supprimé(s) dans Sellsy)` : ''));
+    if (errors) {
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    logger.error('❌ Erreur principale :', err.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Lit la date de validation (--date), à défaut aujourd'hui : une facture validée plus tard que son brouillon
+ * n'est pas antidatée (échéance, prélèvement et numérotation chronologique)
+ * @param {Object} options - Les options de la ligne de commande
+ * @returns {string} - La date (YYYY-MM-DD)
+ */
+function resolveValidationDate(options) {
+  if (!options.date) return formatDate(businessToday());
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(options.date) || isNaN(new Date(`${options.date}T00:00:00`))) {
+    throw new Error(`Date de validation invalide : ${options.date} (format attendu : YYYY-MM-DD)`);
+  }
+  return options.date;
+}
+
+/**
+ * Récupère les brouillons en attente de validation dans le journal des factures
+ * @returns {Promise<Object[]>} - Les enregistrements du journal ({ id, fields }), par date de facture
+ */
+async function fetchPendingDrafts() {
+  const records = await airtableRequest(() => facturesTable.select({
+    filterByFormula: `AND({Statut validation} = '${PENDING}', {ID facture Sellsy} != '')`,
+  }).all());
+
+  return records
+    .map((record) => ({ id: record.id, fields: record.fields }))
+    .sort((a, b) => String(a.fields['Date'] || '').localeCompare(String(b.fields['Date'] || '')));
+}
+
+/**
+ * Affiche les brouillons en attente
+ * @param {Object[]} drafts - Les enregistrements du journal
+ */
+function printDrafts(drafts) {
+  logger.info(`📝 ${drafts.length} brouillon(s) en attente de validation :`);
+  for (const { fields } of drafts) {
+    logger.info(`   - Facture ${fields['ID facture Sellsy']}${fields['Entité'] ? ` (${fields['Entité']})` : ''} du ${fields['Date']} : ` +
+      `période ${fields['Période']}, ${fields['Montant HT'] ?? '?'} HT, réf. ${fields['Référence']}`);
+  }
+}
+
+/**
+ * Sélectionne les brouillons à valider (--all ou --invoice=<ID>[,<ID>...])
+ * @param {Object[]} drafts - Les brouillons en attente
+ * @param {Object} options - Les options de la ligne de commande
+ * @returns {Object[]|null} - Les brouillons sélectionnés, ou null sans sélection
+ * @throws {Error} - Si un ID demandé n'est pas un brouillon en attente
+ */
+function selectDrafts(drafts, options) {
+  if (options.all) return drafts;
+  if (!options.invoice || options.invoice === true) return null;
+
+  const ids = String(options.invoice).split(',').map((id) => id.trim()).filter(Boolean);
+  const unknown = ids.filter((id) => !drafts.some((log) => String(log.fields['ID facture Sellsy']) === id));
+  if (unknown.length) {
+    throw new Error(`facture(s) ${unknown.join(', ')} absente(s) des brouillons en attente`);
+  }
+  return drafts.filter((log) => ids.includes(String(log.fields['ID facture Sellsy'])));
+}
+
+/**
+ * Valide un brouillon dans Sellsy, met à jour le journal, consomme l'occurrence des services
+ * et archive le PDF de la facture ; un brouillon annulé ou supprimé dans Sellsy est rejeté
+ * @param {Object} log - L'enregistrement du journal des factures
+ * @param {string} date - La date de validation
+ * @returns {Promise<string>} - 'validated', 'rejected' ou 'failed'
+ */
+async function approveDraft(log, date) {
+  const invoiceId = log.fields['ID facture Sellsy'];
+  let invoice;
+  let rejection = null;
+  try {
+    const sellsy = getSellsyClient(log.fields['Entité']);
+    invoice = await sellsy.getInvoice(invoiceId).catch((error) => {
+      if (error.response?.status === 404) return null;
+      throw error;
+    });
+
+    if (!invoice || invoice.status === 'cancelled') {
+      rejection = invoice ? 'brouillon annulé dans Sellsy' : 'brouillon supprimé de Sellsy';
+    }
+  } catch (err) {
+    logger.error(`❌ Erreur validation du brouillon ${invoiceId} :`, err.message);
+    return 'failed';
+  }
+
+  // Un brouillon annulé ou supprimé ne sera jamais validé : il ne doit plus réserver sa période
+  if (rejection) {
+    return rejectDraft(log, rejection);
+  }
+
+  try {
+    const sellsy = getSellsyClient(log.fields['Entité']);
+    // Un brouillon déjà validé dans Sellsy n'est pas validé une seconde fois
+    invoice = invoice.status === 'draft'
+      ? await sellsy.validateInvoice(invoice, date)
+      : { ...invoice, validated: true };
+
+    await airtableRequest(() => facturesTable.update(log.id, {
+      'Statut validation': 'Validée',
+      ...(invoice.number ? { 'Numéro facture': invoice.number } : {}),
+      ...(invoice.amounts?.total_excl_tax !== undefined ? { 'Montant HT': parseFloat(invoice.amounts.total_excl_tax) } : {}),
+      ...(invoice.amounts?.total_incl_tax !== undefined ? { 'Montant TTC': parseFloat(invoice.amounts.total_incl_tax) } : {}),
+    }));
+    logger.info(`✅ Brouillon ${invoiceId} validé : facture ${invoice.number || invoiceId}`);
+  } catch (err) {
+    logger.error(`❌ Erreur validation du brouillon ${invoiceId} :`, err.message);
+    return 'failed';
+  }
+
+  // L'occurrence n'est consommée qu'une fois la facture validée
+  for (const serviceId of log.fields['Services'] || []) {
+    await consumeOccurrence(serviceId, log.fields['Période']);
+  }
+
+  const abonnementId = (log.fields['Abonnement'] || [])[0];
+  if (abonnementId) {
+    try {
+      await archiveInvoice(getSellsyClient(log.fields['Entité']), invoice, { entity: log.fields['Entité'], abonnementId });
+    } catch (err) {
+      logger.error(`❌ Archivage du PDF de la facture ${invoice.number || invoiceId} impossible :`, err.message);
+      process.exitCode = 1;
+    }
+  }
+
+  return 'validated';
+}
+
+/**
+ * Rejette un brouillon annulé ou supprimé dans Sellsy : sa période redevient à facturer sur chaque service,
+ * ses consommations ne sont plus marquées facturées, ses références sont retirées du registre local
+ * et le journal passe au statut "Rejetée"
+ * @param {Object} log - L'enregistrement du journal des factures
+ * @param {string} reason - Le motif du rejet
+ * @returns {Promise<string>} - 'rejected', ou 'failed' si le brouillon reste à rejeter
+ */
+async function rejectDraft(log, reason) {
+  const invoiceId = log.fields['ID facture Sellsy'];
+  logger.warn(`⚠️ Brouillon ${invoiceId} rejeté : ${reason}`);
+
+  // Le journal n'est mis à jour qu'une fois les services rétablis : un échec est repris à l'exécution suivante
+  let restored = true;
+  for (const serviceId of log.fields['Services'] || []) {
+    restored = await releasePeriod(serviceId, log.fields['Période'], (log.fields['Abonnement'] || [])[0]) && restored;
+  }
+
+  for (const reference of String(log.fields['Référence'] || '').split(',').map((ref) => ref.trim()).filter(Boolean)) {
+    try {
+      // Consommation (CONSO-<ID>) : à facturer de nouveau
+      if (reference.startsWith(buildUsageReference(''))) {
+        const usageId = reference.slice(buildUsageReference('').length);
+        await airtableRequest(() => getConsommationsTable().update(usageId, { 'Facturée': false, 'ID facture Sellsy': '' }));
+        logger.info(`📦 Consommation ${usageId} à facturer de nouveau`);
+      }
+      await removeLedgerEntry(reference);
+    } catch (err) {
+      logger.error(`❌ Référence ${reference} non libérée :`, err.message);
+      restored = false;
+    }
+  }
+
+  if (!restored) return 'failed';
+
+  try {
+    await airtableRequest(() => facturesTable.update(log.id, {
+      'Statut validation': REJECTED,
+      'Erreur': reason,
+    }));
+  } catch (err) {
+    logger.error(`❌ Erreur mise à jour du journal (brouillon ${invoiceId}) :`, err.message);
+    return 'failed';
+  }
+  return 'rejected';
+}
+
+/**
+ * Rend à facturer la période d'un brouillon rejeté : "Dernière période facturée" revient à la période précédente
+ * (si aucune période ultérieure n'a été facturée depuis)
+ * @param {string} serviceId - L'ID Airtable du service
+ * @param {string} periodKey - La période du brouillon (YYYY-MM)
+ * @param {string} [abonnementId] - L'ID Airtable de l'abonnement, pour sa périodicité
+ * @returns {Promise<boolean>} - Vrai si le service est à jour
+ */
+async function releasePeriod(serviceId, periodKey, abonnementId) {
+  try {
+    const record = await airtableRequest(() => servicesTable.find(serviceId));
+    const lastBilledPeriod = record.fields['Dernière période facturée'];
+    if (!periodKey || lastBilledPeriod !== periodKey) {
+      if (lastBilledPeriod && periodKey && lastBilledPeriod > periodKey) {
+        logger.warn(`⚠️ Service ${serviceId} : période ${lastBilledPeriod} facturée depuis, la période ${periodKey} est à facturer manuellement`);
+      }
+      return true;
+    }
+
+    // Périodicité du service, à défaut celle de l'abonnement
+    let value = record.fields['Périodicité'];
+    if (!value && abonnementId) {
+      value = (await airtableRequest(() => abonnementsTable.find(abonnementId))).fields['Périodicité'];
+    }
+    const periodicity = getPeriodicity(value);
+    if (!periodicity) {
+      throw new Error(`périodicité inconnue (${value})`);
+    }
+
+    const [year, month] = periodKey.split('-').map(Number);
+    const previousPeriod = formatDate(new Date(year, month - 1 - periodicity.months, 1)).slice(0, 7);
+    await airtableRequest(() => servicesTable.update(serviceId, { 'Dernière période facturée': previousPeriod }));
+    logger.info(`📅 Service ${serviceId} : période ${periodKey} à facturer de nouveau (dernière période facturée ${previousPeriod})`);
+    return true;
+  } catch (err) {
+    logger.error(`❌ Erreur mise à jour dernière période facturée (${serviceId}) :`, err.message);
+    process.exitCode = 1;
+    return false;
+  }
+}
+
+/**
+ * Consomme une occurrence d'un service : une période facturée de plus
+ * @param {string} serviceId - L'ID Airtable du service
+ * @param {string} periodKey - La période facturée (YYYY-MM)
+ * @returns {Promise<void>}
+ */
+async function consumeOccurrence(serviceId, periodKey) {
+  try {
+    const record = await airtableRequest(() => servicesTable.find(serviceId));
+    const lastBilledPeriod = record.fields['Dernière période facturée'];
+    const periodesFacturees = parseInt(record.fields['Mois facturés'] || '0', 10) + 1;
+    const totalOccurrences = parseInt(record.fields['Occurrences totales'] || '0', 10);
+    const restants = Math.max(0, totalOccurrences - periodesFacturees);
+
+    await airtableRequest(() => servicesTable.update(serviceId, {
+      'Mois facturés': periodesFacturees,
+      'Occurrences restantes': restants,
+      ...(periodKey && (!lastBilledPeriod || periodKey > lastBilledPeriod) ? { 'Dernière période facturée': periodKey } : {}),
+    }));
+    logger.info(`📉 Service ${serviceId} : ${restants}/${totalOccurrences} période(s) restante(s)`);
+  } catch (err) {
+    logger.error(`❌ Erreur mise à jour occurrences (${serviceId}) :`, err.message);
+    process.exitCode = 1;
+  }
+}
+
+// Exécution du script
+main();
@@ -0,0 +1,127 @@
+// Archive locale des factures PDF (entité/année/mois/numéro.pdf) et manifeste des empreintes SHA-256
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { getEntityKey } from './sellsy.js';
+import { uploadAttachment } from './airtable.js';
+import { logger } from './logger.js';
+
+const DEFAULT_ARCHIVE_DIR = 'archives';
+const MANIFEST_FILE = 'manifest.json';
+
+// Cache du manifeste pour la durée de l'exécution
+let manifest = null;
+let loading = null;
+
+// Écritures du manifeste sérialisées : les abonnements sont traités en parallèle
+let pendingWrite = Promise.resolve();
+
+/**
+ * Retourne le dossier de l'archive
+ * @returns {string} - Le dossier (INVOICE_ARCHIVE_DIR ou valeur par défaut)
+ */
+function getArchiveDir() {
+  return process.env.INVOICE_ARCHIVE_DIR || DEFAULT_ARCHIVE_DIR;
+}
+
+/**
+ * Charge le manifeste depuis le disque (une seule fois par exécution)
+ * @returns {Promise<Object>} - Les fichiers archivés, indexés par chemin relatif
+ */
+async function loadManifest() {
+  if (manifest) return manifest;
+  if (!loading) loading = readManifest();
+  return loading;
+}
+
+/**
+ * Lit le fichier manifeste
+ * @returns {Promise<Object>} - Les fichiers archivés
+ */
+async function readManifest() {
+  const manifestPath = path.join(getArchiveDir(), MANIFEST_FILE);
+  try {
+    manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Manifeste de l'archive illisible (${manifestPath}) : ${error.message}`);
+    }
+    manifest = {};
+  }
+  return manifest;
+}
+
+/**
+ * Construit le chemin relatif d'une facture dans l'archive : entité/année/mois/numéro.pdf
+ * @param {Object} invoice - La facture Sellsy validée (date, numéro)
+ * @param {string} [entity] - L'entité (vide pour le compte par défaut)
+ * @returns {string} - Le chemin relatif
+ */
+export function buildArchivePath(invoice, entity) {
+  const [year, month] = String(invoice.date || '').split('-');
+  if (!year || !month) {
+    throw new Error(`date de la facture ${invoice.id} absente, chemin d'archive impossible`);
+  }
+  const fileName = String(invoice.number || `facture-${invoice.id}`).replace(/[^\w.-]+/g, '-');
+  return path.posix.join(getEntityKey(entity) || 'DEFAUT', year, month, `${fileName}.pdf`);
+}
+
+/**
+ * Archive le PDF d'une facture validée : téléchargement depuis Sellsy, copie locale
+ * et pièce jointe "Factures PDF" de l'abonnement
+ * @param {SellsyClient} sellsy - Le client Sellsy de l'entité qui a émis la facture
+ * @param {Object} invoice - La facture Sellsy validée
+ * @param {Object} options - Le rattachement de la facture
+ * @param {string} [options.entity] - L'entité (vide pour le compte par défaut)
+ * @param {string} options.abonnementId - L'ID Airtable de l'abonnement
+ * @returns {Promise<{path: string, sha256: string}>} - Le chemin relatif et l'empreinte du fichier
+ */
+export async function archiveInvoice(sellsy, invoice, { entity, abonnementId }) {
+  const pdf = await sellsy.downloadInvoicePdf(invoice);
+  const archived = await archiveInvoicePdf(pdf, { invoice, entity, abonnementId });
+  await uploadAttachment('abonnements', abonnementId, 'Factures PDF', {
+    filename: archived.path.split('/').pop(),
+    contentType: 'application/pdf',
+    content: pdf,
+  });
+  return archived;
+}
+
+/**
+ * Enregistre le PDF d'une facture dans l'archive et son empreinte dans le manifeste
+ * @param {Buffer} pdf - Le contenu du PDF
+ * @param {Object} options - La facture archivée
+ * @param {Object} options.invoice - La facture Sellsy validée
+ * @param {string} [options.entity] - L'entité (vide pour le compte par défaut)
+ * @param {string} [options.abonnementId] - L'ID Airtable de l'abonnement
+ * @returns {Promise<{path: string, sha256: string}>} - Le chemin relatif et l'empreinte du fichier
+ */
+export async function archiveInvoicePdf(pdf, { invoice, entity, abonnementId }) {
+  const relativePath = buildArchivePath(invoice, entity);
+  const filePath = path.join(getArchiveDir(), relativePath);
+  const sha256 = crypto.createHash('sha256').update(pdf).digest('hex');
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, pdf);
+
+  const entries = await loadManifest();
+  entries[relativePath] = {
+    sha256,
+    size: pdf.length,
+    invoiceId: invoice.id,
+    invoiceNumber: invoice.number || null,
+    date: invoice.date,
+    ...(entity ? { entity } : {}),
+    ...(abonnementId ? { abonnementId } : {}),
+    archivedAt: new Date().toISOString(),
+  };
+
+  const manifestPath = path.join(getArchiveDir(), MANIFEST_FILE);
+  const write = pendingWrite.then(() => fs.writeFile(manifestPath, JSON.stringify(entries, null, 2)));
+  // Une écriture en échec ne bloque pas les suivantes
+  pendingWrite = write.catch(() => {});
+  await write;
+
+  logger.info(`🗄️ Facture ${invoice.number || invoice.id} archivée : ${filePath} (sha256 ${sha256.slice(0, 12)}…)`);
+  return { path: relativePath, sha256 };
+}
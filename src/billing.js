@@ -0,0 +1,843 @@
+// Cœur de la facturation d'un abonnement : éligibilité, périodes dues, création des factures et compteurs
+import { getSellsyClient } from './sellsy.js';
+import { findLedgerEntry, recordLedgerEntry } from './ledger.js';
+import { getServicesTable, getFacturesTable, getConsommationsTable, airtableRequest, createInvoiceLog } from './airtable.js';
+import { archiveInvoice } from './archive.js';
+import { reportCreated, reportSkipped, reportFailed } from './report.js';
+import { formatDate, formatDateFr, businessToday, listDuePeriods, getPeriodicity, getTaxRegime, buildInvoiceReference, buildUsageReference } from './utils.js';
+import { getInvoiceTemplate } from './templates.js';
+import { logger, withLogContext } from './logger.js';
+
+/**
+ * Vérifie que l'abonnement peut être facturé : jour de facturation valide et date de début atteinte
+ * @param {Object} abonnement - L'abonnement Airtable
+ * @param {Date} runDate - La date d'exécution
+ * @param {Object|null} report - Le rapport d'exécution
+ * @returns {boolean} - Vrai si l'abonnement est facturable
+ */
+export function isBillable(abonnement, runDate = businessToday(), report = null) {
+  const billingDay = getBillingDay(abonnement);
+
+  // Vérifier si le jour de facturation est valide
+  if (!billingDay) {
+    logger.warn(`⚠️ Abonnement ${abonnement.id} : jour de facturation invalide (${abonnement.fields['Jour de facturation']})`);
+    reportSkipped(report, { abonnementId: abonnement.id, reason: `jour de facturation invalide (${abonnement.fields['Jour de facturation']})` });
+    return false;
+  }
+
+  // Vérifier la date de début d'abonnement (dates calendaires : la date d'exécution est minuit local)
+  if (abonnement.fields['Date de début']) {
+    const startDate = formatDate(abonnement.fields['Date de début']);
+    if (startDate > formatDate(runDate)) {
+      logger.info(`ℹ️ Abonnement ${abonnement.id} : la date de début (${startDate}) est dans le futur`);
+      return false;
+    }
+  }
+
+  return true;
+}
+
+function getBillingDay(abonnement) {
+  const billingDay = parseInt(abonnement.fields['Jour de facturation'], 10);
+  if (!billingDay || isNaN(billingDay) || billingDay < 1 || billingDay > 31) return null;
+  return billingDay;
+}
+
+/**
+ * Périodicité du service, à défaut celle de l'abonnement (mensuelle si non renseignée)
+ */
+function getServicePeriodicity(abonnement, service, report = null) {
+  const value = service.fields['Périodicité'] || abonnement.fields['Périodicité'];
+  const periodicity = getPeriodicity(value);
+  if (!periodicity) {
+    logger.warn(`⚠️ Service ${service.id} : périodicité inconnue (${value})`);
+    reportSkipped(report, { abonnementId: abonnement.id, serviceId: service.id, reason: `périodicité inconnue (${value})` });
+  }
+  return periodicity;
+}
+
+/**
+ * Détermine les périodes à facturer pour un service : période du jour et périodes manquées
+ * depuis la dernière période facturée (champ "Dernière période facturée", format YYYY-MM)
+ */
+function getDuePeriods(abonnement, service, runDate, maxCatchUp, report = null, businessDayRule = '', advance = false) {
+  const billingDay = getBillingDay(abonnement);
+  const periodicity = getServicePeriodicity(abonnement, service, report);
+  if (!periodicity) return [];
+
+  let lastBilledPeriod = service.fields['Dernière période facturée'] || null;
+
+  if (lastBilledPeriod && !/^\d{4}-\d{2}$/.test(lastBilledPeriod)) {
+    logger.warn(`⚠️ Service ${service.id} : dernière période facturée invalide (${lastBilledPeriod}), rattrapage désactivé`);
+    lastBilledPeriod = null;
+  }
+
+  const { periods, postponed, dropped } = listDuePeriods({
+    billingDay,
+    months: periodicity.months,
+    runDate,
+    startDate: abonnement.fields['Date de début'] || null,
+    endDate: abonnement.fields['Date de fin'] || null,
+    lastBilledPeriod,
+    neverBilled: !parseInt(service.fields['Mois facturés'] || '0', 10),
+    maxCatchUp,
+    businessDayRule,
+    advance,
+  });
+
+  if (postponed) {
+    logger.warn(`⚠️ Service ${service.id} : ${postponed} période(s) en retard au-delà de la limite de rattrapage (${maxCatchUp}), reportée(s)`);
+  }
+  for (const period of dropped) {
+    logger.warn(`⚠️ Service ${service.id} : période ${period.key} en retard abandonnée (rattrapage désactivé, période suivante facturée)`);
+    reportSkipped(report, { abonnementId: abonnement.id, serviceId: service.id, period: period.key, reason: `période en retard abandonnée : rattrapage désactivé (MAX_CATCHUP_PERIODS=${maxCatchUp}) et période suivante facturée, à facturer manuellement` });
+  }
+  const backBilled = periods.filter((period) => period.backBilled);
+  if (backBilled.length) {
+    logger.warn(`⏪ Service ${service.id} : première facturation, ${backBilled.length} période(s) rattrapée(s) depuis la date de début (${backBilled.map((period) => period.key).join(', ')})`);
+  }
+  if (!periods.length) {
+    logger.info(`ℹ️ Service ${service.id} : aucune période à facturer (périodicité ${periodicity.name}, jour de facturation : ${billingDay}, dernière période facturée : ${lastBilledPeriod || 'aucune'})`);
+  }
+
+  return periods.map((period) => ({ ...period, label: periodicity.label }));
+}
+
+/**
+ * Compte les brouillons en attente de validation (journal des factures "À valider"), par service
+ * @returns {Promise<Map<string, number>>} - Le nombre de brouillons, par ID Airtable de service
+ */
+export async function fetchPendingDraftCounts() {
+  const records = await airtableRequest(() => getFacturesTable().select({
+    filterByFormula: `{Statut validation} = 'À valider'`,
+  }).all());
+
+  const counts = new Map();
+  for (const record of records) {
+    for (const serviceId of record.fields['Services'] || []) {
+      counts.set(serviceId, (counts.get(serviceId) || 0) + 1);
+    }
+  }
+  if (records.length) {
+    logger.info(`📝 ${records.length} brouillon(s) en attente de validation (npm run approve)`);
+  }
+  return counts;
+}
+
+/**
+ * Récupère les services facturables d'un abonnement : actifs, de catégorie Abonnement, du même client,
+ * avec des occurrences restantes et un ID Sellsy
+ * @param {Object} abonnement - L'abonnement Airtable
+ * @param {Object|null} report - Le rapport d'exécution
+ * @returns {Promise<Object[]>} - Les services ({ id, fields })
+ */
+export async function fetchServicesForAbonnement(abonnement, report = null) {
+  const ids = abonnement.fields['Services liés'] || [];
+  const clientSellsyId = abonnement.fields['ID_Sellsy_abonné'];
+  const skip = (serviceId, reason) => reportSkipped(report, { abonnementId: abonnement.id, serviceId, reason });
+  
+  if (!clientSellsyId) {
+    logger.warn(`⚠️ Abonnement ${abonnement.id} : ID_Sellsy_abonné manquant`);
+    skip(null, 'ID_Sellsy_abonné manquant');
+    return [];
+  }
+  
+  if (!ids.length) {
+    logger.warn(`⚠️ Abonnement ${abonnement.id} : aucun service lié`);
+    skip(null, 'aucun service lié');
+    return [];
+  }
+
+  // Une seule requête pour tous les services liés à l'abonnement
+  let records;
+  try {
+    records = await airtableRequest(() => getServicesTable().select({
+      filterByFormula: `OR(${ids.map((id) => `RECORD_ID() = '${id}'`).join(', ')})`,
+    }).all());
+  } catch (err) {
+    logger.warn(`⚠️ Abonnement ${abonnement.id} : services non récupérés :`, err.message);
+    reportFailed(report, { abonnementId: abonnement.id, serviceIds: ids, reason: `services non récupérés : ${err.message}` });
+    return [];
+  }
+  const recordsById = new Map(records.map((record) => [record.id, record]));
+
+  const validServices = [];
+
+  for (const id of ids) {
+    try {
+      const service = recordsById.get(id);
+      if (!service) {
+        throw new Error('enregistrement introuvable');
+      }
+      const { fields } = service;
+
+      // Vérifier si le service est actif et de catégorie Abonnement
+      if ((fields['Actif'] !== 'Actif' && fields['Actif'] !== true) ||
+          fields['Catégorie'] !== 'Abonnement') {
+        logger.info(`ℹ️ Service ${id} ignoré: ${!fields['Actif'] ? 'inactif' : 'pas un abonnement'}`);
+        continue;
+      }
+
+      // Vérifier que le service correspond au même client que l'abonnement
+      if (fields['ID_Sellsy_abonné'] !== clientSellsyId) {
+        logger.warn(`⚠️ Service ${id} : ID_Sellsy_abonné (${fields['ID_Sellsy_abonné']}) ne correspond pas à l'abonnement (${clientSellsyId})`);
+        skip(id, `ID_Sellsy_abonné du service (${fields['ID_Sellsy_abonné']}) différent de celui de l'abonnement (${clientSellsyId})`);
+        continue;
+      }
+
+      // Vérifier qu'il reste des occurrences à facturer
+      const occRestantes = fields['Occurrences restantes'] !== undefined ? parseInt(fields['Occurrences restantes'], 10) : 0;
+      if (isNaN(occRestantes) || occRestantes <= 0) {
+        logger.info(`ℹ️ Service ${id} ignoré: aucune occurrence restante (${fields['Occurrences restantes']})`);
+        continue;
+      }
+
+      // Vérifier que le service a un ID Sellsy valide
+      if (!fields['ID Sellsy']) {
+        logger.warn(`⚠️ Service ${id} : ID Sellsy manquant`);
+        skip(id, 'ID Sellsy manquant');
+        continue;
+      }
+
+      validServices.push({ id: service.id, fields });
+    } catch (err) {
+      logger.warn(`⚠️ Service ${id} non récupéré :`, err.message);
+      skip(id, `service non récupéré : ${err.message}`);
+    }
+  }
+
+  return validServices;
+}
+
+/**
+ * Génère les factures des périodes dues de chaque service d'un abonnement (ou les simule en mode plan)
+ * @param {Object} abonnement - L'abonnement Airtable
+ * @param {Object[]} services - Les services facturables (fetchServicesForAbonnement)
+ * @param {Object} options - Le contexte de l'exécution
+ * @param {Date} options.runDate - La date d'exécution
+ * @param {boolean} options.plan - Vrai en mode plan : aucune facture créée
+ * @param {Object|null} options.report - Le rapport d'exécution
+ * @param {number} options.maxCatchUp - Le nombre maximal de périodes en retard à rattraper
+ * @param {string} options.businessDayRule - Décalage des dates hors week-ends et jours fériés
+ * @param {boolean} options.draft - Vrai pour laisser les factures en brouillon
+ * @param {Map<string, number>} options.pendingDrafts - Les brouillons en attente, par service
+ * @param {boolean} options.advance - Vrai pour facturer la période en cours avant son jour de facturation
+ * @param {SellsyClient} options.sellsy - Le client Sellsy de l'entité de l'abonnement
+ * @returns {Promise<{planned: Object[]}>} - Les factures simulées en mode plan
+ */
+export async function generateInvoices(abonnement, services, { runDate = businessToday(), plan = false, report = null, maxCatchUp = 0, businessDayRule = '', draft = false, pendingDrafts = new Map(), advance = false, sellsy = getSellsyClient() } = {}) {
+  const result = { planned: [] };
+  const clientId = abonnement.fields['ID_Sellsy_abonné'];
+  const abonnementName = abonnement.fields['Nom de l\'abonnement'] || 'Abonnement sans nom';
+  const grouped = isGroupedInvoicing(abonnement);
+
+  logger.info(`📝 Génération des factures pour l'abonnement "${abonnementName}" (client ${clientId})${grouped ? ' - facture groupée' : ''}`);
+
+  // Les factures doivent cibler le bon type de client Sellsy (entreprise ou particulier) et utiliser
+  // le modèle de textes de l'abonnement (champ "Modèle de facture") : résolus à la première période due,
+  // un abonnement sans période à facturer ne coûte aucun appel à Sellsy
+  let clientType = null;
+  let template = null;
+  let setupError = null;
+
+  // Regrouper les périodes à facturer : une facture par service et par période, ou une facture
+  // par période regroupant tous les services de même périodicité en mode groupé
+  const invoices = [];
+
+  for (const service of services) {
+    await withLogContext({ serviceId: service.id }, async () => {
+      if (!isInvoiceableService(abonnement, service, report)) return;
+
+      // Ne pas facturer plus de périodes qu'il ne reste d'occurrences (hors brouillons en attente)
+      const occRestantes = parseInt(service.fields['Occurrences restantes'], 10) - (pendingDrafts.get(service.id) || 0);
+      const periods = getDuePeriods(abonnement, service, runDate, maxCatchUp, report, businessDayRule, advance).slice(0, occRestantes);
+      if (!periods.length || setupError) return;
+
+      if (!clientType) {
+        try {
+          clientType = await resolveClientType(abonnement, sellsy);
+          template = getInvoiceTemplate(abonnement.fields['Modèle de facture']);
+        } catch (err) {
+          setupError = err;
+          return;
+        }
+      }
+
+      for (const period of periods) {
+        // Vérifier qu'aucune facture n'a déjà été émise pour ce service sur la période
+        const reference = buildInvoiceReference(service.id, period.key);
+        try {
+          const existing = await findExistingInvoice(sellsy, clientId, clientType, service, reference, period, { persist: !plan });
+          if (existing) {
+            // Facture retrouvée dans Sellsy seulement (registre perdu) : ses compteurs n'ont pas été mis à jour
+            const recount = !plan && !existing.fromLedger && existing.status !== 'draft';
+            reportSkipped(report, { abonnementId: abonnement.id, abonnementName, serviceId: service.id, period: period.key, reason: `déjà facturé pour la période${recount ? ' (facture retrouvée dans Sellsy, occurrence décomptée)' : ''}` });
+            if (plan) {
+              result.planned.push(buildPlanItem(abonnement, service, reference, period, 'déjà facturé', null));
+            } else if (recount) {
+              await decrementOccurrences(service.id, period.key);
+            } else {
+              // Registre local (compteurs mis à jour à la création) ou brouillon (occurrence consommée à sa validation)
+              await markPeriodBilled(service.id, period.key);
+            }
+            continue;
+          }
+        } catch (err) {
+          logger.error(`❌ Service ${service.id} : vérification des doublons impossible, facturation annulée :`, err.message);
+          reportFailed(report, { abonnementId: abonnement.id, abonnementName, serviceIds: [service.id], period: period.key, reason: `vérification des doublons impossible : ${err.message}` });
+          break;
+        }
+
+        const line = { service, reference, backBilled: period.backBilled };
+        const invoice = grouped && invoices.find((inv) => inv.period.key === period.key && inv.period.months === period.months);
+        if (invoice) {
+          invoice.lines.push(line);
+        } else {
+          invoices.push({ period, lines: [line] });
+        }
+      }
+    });
+  }
+
+  if (setupError) {
+    logger.error(`❌ Abonnement ${abonnement.id} : ${setupError.message}`);
+    reportFailed(report, { abonnementId: abonnement.id, abonnementName, serviceIds: services.map((service) => service.id), reason: setupError.message });
+    return result;
+  }
+
+  invoices.sort((a, b) => a.period.key.localeCompare(b.period.key));
+
+  // Consommations non facturées, ajoutées à la première facture dont la période commence à leur mois ou après
+  if (invoices.length) {
+    await attachUsage(abonnement, invoices, sellsy, { plan, report });
+  }
+
+  // Un service en échec n'est plus facturé sur les périodes suivantes, les autres continuent
+  const failedServices = new Set();
+
+  for (const invoice of invoices) {
+    let lines = invoice.lines.filter((line) => !failedServices.has(line.service.id));
+    if (!lines.length) continue;
+    const usage = invoice.usage || [];
+
+    await withLogContext({ serviceId: lines.map((line) => line.service.id) }, async () => {
+      const { period } = invoice;
+      if (period.late) {
+        logger.warn(`⏰ Abonnement ${abonnement.id} : rattrapage de la période ${period.key} (facturation prévue le ${period.billingDate})`);
+      }
+
+      // Facture groupée : un service dont la ligne est invalide est écarté, les autres sont facturés
+      if (grouped) {
+        lines = await checkGroupedLines(sellsy, abonnement, lines, period, { runDate, plan, report, result, failedServices });
+        if (!lines.length) return;
+      }
+
+      // Préparer les données pour la facture
+      const invoiceData = {
+        clientId: clientId,
+        clientType,
+        ...(grouped || usage.length
+          ? {
+            serviceName: grouped ? abonnementName : lines[0].service.fields['Nom du service'],
+            lines: [...lines.map(({ service }) => buildInvoiceLine(service, period)), ...usage.map(buildUsageLine)],
+          }
+          : buildInvoiceLine(lines[0].service, period)),
+        periodMonths: period.months,
+        template,
+        abonnementName,
+        customerReference: abonnement.fields['Référence client'],
+        coveredPeriod: { start: period.coveredStart, end: period.coveredEnd },
+        // Mode de paiement de l'abonnement (prélèvement GoCardless par défaut) et délai de paiement en jours
+        paymentMethod: abonnement.fields['Mode de paiement'] || 'prélèvement',
+        paymentModule: abonnement.fields['Module de paiement'],
+        paymentTermDays: abonnement.fields['Délai de paiement'] || 0,
+        businessDayRule,
+        // Devise et régime de TVA de l'abonnement (EUR et TVA normale par défaut)
+        currency: String(abonnement.fields['Devise'] || 'EUR').trim().toUpperCase(),
+        taxRegime: abonnement.fields['Régime TVA'],
+        taxMention: abonnement.fields['Mention TVA'],
+        // Références des services puis des consommations, reprises dans la note et le journal des factures
+        reference: [...lines.map((line) => line.reference), ...usage.map((item) => buildUsageReference(item.id))],
+        date: formatDate(runDate),
+      };
+
+      if (plan) {
+        try {
+          const payload = await sellsy.buildInvoicePayload(invoiceData);
+          lines.forEach(({ service, reference }, rowIndex) => {
+            result.planned.push(buildPlanItem(abonnement, service, reference, period, 'à créer', payload, rowIndex));
+          });
+          // Lignes de consommation, après celles des services
+          usage.forEach((item, index) => {
+            result.planned.push({
+              ...buildPlanItem(abonnement, lines[0].service, buildUsageReference(item.id), period, 'à créer', payload, lines.length + index),
+              serviceId: item.id,
+              serviceName: `${item.fields['Libellé']} (consommation ${item.fields['Période']})`,
+            });
+          });
+        } catch (err) {
+          logger.error(`❌ Abonnement ${abonnement.id} : facture impossible à préparer (période ${period.key}) :`, err.message);
+          for (const { service, reference } of lines) {
+            result.planned.push(buildPlanItem(abonnement, service, reference, period, `erreur : ${err.message}`, null));
+          }
+        }
+        return;
+      }
+
+      try {
+        // Générer la facture (prélèvement GoCardless ou mode de paiement de l'abonnement),
+        // laissée en brouillon en mode brouillon
+        const created = await sellsy.generateInvoice(invoiceData, { validate: !draft });
+
+        if (!created || !created.id) {
+          throw new Error("réponse inattendue de l'API");
+        }
+
+        logger.info(`✅ Facture ${created.id} créée pour ${lines.length} service(s) de l'abonnement ${abonnement.id}, période ${period.key}`);
+
+        const reportItem = {
+          abonnementId: abonnement.id,
+          abonnementName,
+          serviceIds: lines.map(({ service }) => service.id),
+          serviceNames: lines.map(({ service }) => service.fields['Nom du service']),
+          period: period.key,
+          invoiceId: created.id,
+          invoiceNumber: created.number || null,
+          late: period.late,
+          ...(lines.some((line) => line.backBilled) ? { backBilled: true } : {}),
+          billingDate: period.billingDate,
+          ...(created.draft ? { draft: true } : {}),
+        };
+        reportCreated(report, reportItem);
+        if (!created.validated && !created.draft) {
+          reportFailed(report, { ...reportItem, reason: `facture créée mais non validée : ${created.validationError}` });
+        }
+
+        await logInvoiceAttempt(abonnement, lines, period, invoiceData, {
+          invoice: created,
+          status: created.draft ? 'À valider' : (created.validated ? 'Validée' : 'Non validée'),
+          error: created.validationError,
+        });
+
+        // Les consommations portées par la facture ne seront plus facturées
+        if (usage.length) {
+          await markUsageBilled(usage, created.id, report, reportItem);
+        }
+
+        // Mettre à jour les compteurs d'occurrences de chaque service uniquement si la facture a été créée.
+        // Un brouillon ne consomme son occurrence qu'à sa validation (npm run approve) : seule la période
+        // est marquée facturée pour ne pas être proposée à nouveau
+        for (const { service, reference } of lines) {
+          await saveLedgerEntry(reference, created.id, service.id, period.key);
+          if (created.draft) {
+            await markPeriodBilled(service.id, period.key);
+          } else {
+            await decrementOccurrences(service.id, period.key);
+          }
+        }
+
+        // Seule une facture validée a un PDF définitif à archiver
+        if (created.validated) {
+          await archiveCreatedInvoice(sellsy, abonnement, created, report, reportItem);
+        }
+      } catch (err) {
+        logger.error(`❌ Erreur facturation abonnement ${abonnement.id} (période ${period.key}, services ${lines.map((line) => line.service.id).join(', ')}) :`, err.message);
+        lines.forEach((line) => failedServices.add(line.service.id));
+        reportFailed(report, {
+          abonnementId: abonnement.id,
+          abonnementName,
+          serviceIds: lines.map(({ service }) => service.id),
+          period: period.key,
+          reason: err.message,
+        });
+        await logInvoiceAttempt(abonnement, lines, period, invoiceData, { status: 'Échec', error: err.message });
+      }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Vérifie chaque ligne d'une facture groupée (prix, article Sellsy, taux de TVA) avant de construire la facture :
+ * un service invalide est signalé en échec et n'est plus facturé pendant l'exécution
+ */
+async function checkGroupedLines(sellsy, abonnement, lines, period, { runDate, plan, report, result, failedServices }) {
+  const abonnementName = abonnement.fields['Nom de l\'abonnement'] || 'Abonnement sans nom';
+  const validLines = [];
+
+  for (const line of lines) {
+    const invoiceLine = buildInvoiceLine(line.service, period);
+    try {
+      await sellsy.checkInvoiceLine(invoiceLine, abonnement.fields['Régime TVA']);
+      validLines.push(line);
+    } catch (err) {
+      logger.error(`❌ Service ${line.service.id} écarté de la facture groupée (période ${period.key}) :`, err.message);
+      if (plan) {
+        result.planned.push(buildPlanItem(abonnement, line.service, line.reference, period, `erreur : ${err.message}`, null));
+        continue;
+      }
+      failedServices.add(line.service.id);
+      reportFailed(report, {
+        abonnementId: abonnement.id,
+        abonnementName,
+        serviceIds: [line.service.id],
+        period: period.key,
+        reason: `ligne de la facture groupée invalide : ${err.message}`,
+      });
+      await logInvoiceAttempt(abonnement, [line], period, {
+        ...invoiceLine,
+        taxRegime: abonnement.fields['Régime TVA'],
+        coveredPeriod: { start: period.coveredStart, end: period.coveredEnd },
+        date: formatDate(runDate),
+      }, { status: 'Échec', error: err.message });
+    }
+  }
+
+  return validLines;
+}
+
+/**
+ * Trace une tentative de facturation dans la table Airtable "Factures"
+ * (les montants Sellsy sont utilisés s'ils sont connus, sinon ceux des lignes envoyées)
+ */
+async function logInvoiceAttempt(abonnement, lines, period, invoiceData, { invoice = null, status, error }) {
+  const invoiceLines = invoiceData.lines || [invoiceData];
+  const zeroRated = Boolean(getTaxRegime(invoiceData.taxRegime)?.zeroRated);
+  const amountExclTax = invoiceLines.reduce((sum, line) => sum + parseFloat(line.price) * (line.quantity ?? 1), 0);
+  const amountInclTax = invoiceLines.reduce((sum, line) => sum + parseFloat(line.price) * (line.quantity ?? 1) * (1 + (zeroRated ? 0 : parseFloat(line.taxRate)) / 100), 0);
+
+  try {
+    await createInvoiceLog({
+      abonnementId: abonnement.id,
+      serviceIds: lines.map(({ service }) => service.id),
+      period: period.key,
+      reference: [].concat(invoiceData.reference || lines.map(({ reference }) => reference)).join(', '),
+      date: invoiceData.date,
+      invoiceId: invoice?.id,
+      invoiceNumber: invoice?.number || undefined,
+      amountExclTax: parseFloat(invoice?.amounts?.total_excl_tax ?? amountExclTax.toFixed(2)),
+      amountInclTax: parseFloat(invoice?.amounts?.total_incl_tax ?? amountInclTax.toFixed(2)),
+      status,
+      error,
+      entity: getAbonnementEntity(abonnement) || undefined,
+      coveredStart: invoiceData.coveredPeriod?.start,
+      coveredEnd: invoiceData.coveredPeriod?.end,
+    });
+  } catch (err) {
+    logger.error(`❌ Erreur écriture journal des factures (abonnement ${abonnement.id}, période ${period.key}) :`, err.message);
+  }
+}
+
+/**
+ * Archive le PDF d'une facture validée (copie locale et pièce jointe de l'abonnement) ;
+ * un échec est signalé dans le rapport sans remettre en cause la facture
+ */
+async function archiveCreatedInvoice(sellsy, abonnement, invoice, report, reportItem) {
+  try {
+    await archiveInvoice(sellsy, invoice, { entity: getAbonnementEntity(abonnement), abonnementId: abonnement.id });
+  } catch (err) {
+    logger.error(`❌ Archivage du PDF de la facture ${invoice.number || invoice.id} impossible :`, err.message);
+    reportFailed(report, { ...reportItem, reason: `facture créée mais PDF non archivé : ${err.message}` });
+  }
+}
+
+/**
+ * Type du client Sellsy : champ "Type de client" de l'abonnement (Entreprise / Particulier),
+ * à défaut recherche dans Sellsy (résultat mis en cache pour l'exécution)
+ */
+async function resolveClientType(abonnement, sellsy) {
+  const value = abonnement.fields['Type de client'];
+  if (value) {
+    const type = { entreprise: 'company', particulier: 'individual' }[String(value).trim().toLowerCase()];
+    if (type) return type;
+    logger.warn(`⚠️ Abonnement ${abonnement.id} : type de client inconnu (${value}), recherche dans Sellsy`);
+  }
+  return sellsy.getClientType(abonnement.fields['ID_Sellsy_abonné']);
+}
+
+/**
+ * Retourne l'entité de l'abonnement (champ "Entité")
+ * @param {Object} abonnement - L'abonnement Airtable
+ * @returns {string} - L'entité, vide pour le compte Sellsy par défaut
+ */
+export function getAbonnementEntity(abonnement) {
+  return String(abonnement.fields['Entité'] || '').trim();
+}
+
+/**
+ * Facture groupée si le champ "Regroupement factures" de l'abonnement vaut "Par abonnement",
+ * sinon selon INVOICE_GROUPING (par défaut une facture par service)
+ */
+function isGroupedInvoicing(abonnement) {
+  const grouping = abonnement.fields['Regroupement factures'];
+  if (grouping) return grouping === 'Par abonnement';
+  return process.env.INVOICE_GROUPING === 'abonnement';
+}
+
+function isInvoiceableService(abonnement, service, report = null) {
+  const { fields } = service;
+  const skip = (reason) => reportSkipped(report, { abonnementId: abonnement.id, serviceId: service.id, reason });
+
+  // Ces vérifications sont redondantes avec fetchServicesForAbonnement, mais assurent la cohérence
+  const occRestantes = parseInt(fields['Occurrences restantes'] || '0', 10);
+  if (isNaN(occRestantes) || occRestantes <= 0) {
+    logger.info(`ℹ️ Service ${service.id} : aucune occurrence restante`);
+    return false;
+  }
+
+  if (!fields['ID Sellsy']) {
+    logger.warn(`⚠️ Service ${service.id} : ID Sellsy manquant`);
+    skip('ID Sellsy manquant');
+    return false;
+  }
+
+  const price = parseFloat(fields['Prix HT']);
+  if (isNaN(price) || price <= 0) {
+    logger.warn(`⚠️ Service ${service.id} : prix HT invalide (${fields['Prix HT']})`);
+    skip(`prix HT invalide (${fields['Prix HT']})`);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Ligne de facture d'un service pour une période, au prorata des jours couverts
+ * si l'abonnement commence ou se termine en cours de période
+ */
+function buildInvoiceLine(service, period) {
+  const { fields } = service;
+  const line = {
+    serviceId: fields['ID Sellsy'],
+    serviceName: fields['Nom du service'],
+    price: fields['Prix HT'],
+    taxRate: fields['Taux TVA'] || 20,
+  };
+
+  if (period.ratio < 1) {
+    const proratedPrice = Math.round(parseFloat(fields['Prix HT']) * period.ratio * 100) / 100;
+    logger.info(`✂️ Service ${service.id} : prorata du ${formatDateFr(period.coveredStart)} au ${formatDateFr(period.coveredEnd)}, ${fields['Prix HT']} → ${proratedPrice} HT`);
+    line.price = proratedPrice;
+    line.prorated = true;
+  }
+
+  return line;
+}
+
+/**
+ * Récupère les consommations non facturées d'un abonnement (table "Consommations", liées par le champ
+ * "Consommations" de l'abonnement) ; celles déjà portées par une facture du registre local sont écartées
+ */
+async function fetchUnbilledUsage(abonnement, sellsy, { plan = false, report = null } = {}) {
+  const ids = abonnement.fields['Consommations'] || [];
+  if (!ids.length) return [];
+
+  const records = await airtableRequest(() => getConsommationsTable().select({
+    filterByFormula: `AND(OR(${ids.map((id) => `RECORD_ID() = '${id}'`).join(', ')}), NOT({Facturée}))`,
+  }).all());
+
+  const usage = [];
+  for (const record of records) {
+    const { fields } = record;
+    const reason = getUsageError(fields);
+    if (reason) {
+      logger.warn(`⚠️ Consommation ${record.id} ignorée : ${reason}`);
+      reportSkipped(report, { abonnementId: abonnement.id, usageId: record.id, reason: `consommation ${reason}` });
+      continue;
+    }
+
+    // Facture créée mais consommation non marquée lors d'une exécution précédente
+    const entry = await findLedgerEntry(buildUsageReference(record.id));
+    if (entry) {
+      logger.warn(`⏭️ Consommation ${record.id} : déjà facturée (facture ${entry.invoiceId}, registre local)`);
+      if (!plan) await markUsageBilled([record], entry.invoiceId, report);
+      continue;
+    }
+
+    // Ligne vérifiée dans Sellsy (article, taux de TVA) : une consommation invalide ne bloque pas la facture
+    try {
+      await sellsy.checkInvoiceLine(buildUsageLine(record), abonnement.fields['Régime TVA']);
+    } catch (err) {
+      logger.warn(`⚠️ Consommation ${record.id} ignorée : ${err.message}`);
+      reportSkipped(report, { abonnementId: abonnement.id, usageId: record.id, reason: `consommation ${err.message}` });
+      continue;
+    }
+
+    usage.push({ id: record.id, fields });
+  }
+
+  return usage.sort((a, b) => a.fields['Période'].localeCompare(b.fields['Période']));
+}
+
+/**
+ * Vérifie qu'une consommation est facturable (période YYYY-MM, libellé, quantité et prix unitaire positifs)
+ */
+function getUsageError(fields) {
+  if (!/^\d{4}-\d{2}$/.test(fields['Période'] || '')) return `période invalide (${fields['Période']})`;
+  if (!fields['Libellé']) return 'libellé manquant';
+
+  const quantity = parseFloat(fields['Quantité']);
+  if (isNaN(quantity) || quantity <= 0) return `quantité invalide (${fields['Quantité']})`;
+
+  const unitPrice = parseFloat(fields['Prix unitaire HT']);
+  if (isNaN(unitPrice) || unitPrice <= 0) return `prix unitaire HT invalide (${fields['Prix unitaire HT']})`;
+
+  return null;
+}
+
+/**
+ * Répartit les consommations sur les factures de l'exécution : chacune rejoint la première facture
+ * dont la période commence à son mois ou après (de préférence celle de son service, s'il est renseigné) ;
+ * les consommations d'un mois à venir attendent la facture suivante
+ */
+async function attachUsage(abonnement, invoices, sellsy, { plan = false, report = null } = {}) {
+  let usage;
+  try {
+    usage = await fetchUnbilledUsage(abonnement, sellsy, { plan, report });
+  } catch (err) {
+    // Les consommations restent non facturées et seront reprises à la prochaine facture
+    logger.warn(`⚠️ Abonnement ${abonnement.id} : consommations non récupérées :`, err.message);
+    reportSkipped(report, { abonnementId: abonnement.id, reason: `consommations non récupérées, reportées à la prochaine facture : ${err.message}` });
+    return;
+  }
+
+  for (const item of usage) {
+    const candidates = invoices.filter((invoice) => invoice.period.key >= item.fields['Période']);
+    const serviceId = (item.fields['Service'] || [])[0];
+    const invoice = candidates.find((inv) => inv.lines.some((line) => line.service.id === serviceId)) || candidates[0];
+    if (!invoice) {
+      logger.info(`ℹ️ Consommation ${item.id} (${item.fields['Période']}) : en attente de sa période de facturation`);
+      continue;
+    }
+    invoice.usage = [...(invoice.usage || []), item];
+    logger.info(`➕ Consommation ${item.id} : ${item.fields['Quantité']} × ${item.fields['Libellé']} ajoutée à la facture de la période ${invoice.period.key}`);
+  }
+}
+
+/**
+ * Ligne de facture d'une consommation : quantité × prix unitaire, article du catalogue Sellsy facultatif
+ */
+function buildUsageLine(usage) {
+  const { fields } = usage;
+  return {
+    serviceId: fields['ID Sellsy'] || null,
+    serviceName: fields['Libellé'],
+    price: parseFloat(fields['Prix unitaire HT']),
+    quantity: parseFloat(fields['Quantité']),
+    taxRate: fields['Taux TVA'] || 20,
+    usagePeriod: fields['Période'],
+  };
+}
+
+/**
+ * Marque des consommations facturées (registre local et table "Consommations") ;
+ * un échec de mise à jour d'Airtable est signalé dans le rapport (le registre évite une seconde facturation)
+ */
+async function markUsageBilled(usage, invoiceId, report, reportItem = {}) {
+  for (const item of usage) {
+    try {
+      await recordLedgerEntry(buildUsageReference(item.id), { invoiceId, usageId: item.id, period: item.fields['Période'] });
+    } catch (err) {
+      logger.error(`❌ Erreur écriture registre (${buildUsageReference(item.id)}) :`, err.message);
+    }
+
+    try {
+      await airtableRequest(() => getConsommationsTable().update(item.id, {
+        'Facturée': true,
+        'ID facture Sellsy': String(invoiceId),
+      }));
+    } catch (err) {
+      logger.error(`❌ Consommation ${item.id} non marquée facturée (facture ${invoiceId}) :`, err.message);
+      reportFailed(report, { ...reportItem, usageId: item.id, reason: `facture créée mais consommation ${item.id} non marquée facturée : ${err.message}` });
+    }
+  }
+}
+
+function buildPlanItem(abonnement, service, reference, period, status, payload, rowIndex = 0) {
+  return {
+    abonnementId: abonnement.id,
+    abonnementName: abonnement.fields['Nom de l\'abonnement'] || 'Abonnement sans nom',
+    clientId: abonnement.fields['ID_Sellsy_abonné'],
+    serviceId: service.id,
+    serviceName: service.fields['Nom du service'],
+    reference,
+    period: period.key,
+    late: period.late,
+    billingDate: period.billingDate,
+    status,
+    payload,
+    rowIndex,
+  };
+}
+
+/**
+ * Recherche dans le registre local puis dans Sellsy la facture déjà émise pour le service et la période,
+ * à partir de la date de facturation si elle précède la période (règle precedent)
+ * (persist: false en mode plan, pour ne rien écrire dans le registre)
+ */
+async function findExistingInvoice(sellsy, clientId, clientType, service, reference, period, { persist = true } = {}) {
+  const entry = await findLedgerEntry(reference);
+  if (entry) {
+    logger.info(`⏭️ Service ${service.id} : déjà facturé pour ${period.key} (facture ${entry.invoiceId}, registre local)`);
+    return { id: entry.invoiceId, fromLedger: true };
+  }
+
+  const since = period.billingDate < period.start ? period.billingDate : period.start;
+  const existing = await sellsy.findInvoiceByReference(clientId, reference, since, clientType);
+  if (existing) {
+    logger.warn(`⏭️ Service ${service.id} : facture ${existing.id} déjà présente dans Sellsy pour ${period.key}`);
+    if (persist) await saveLedgerEntry(reference, existing.id, service.id, period.key);
+    return existing;
+  }
+
+  return null;
+}
+
+async function saveLedgerEntry(reference, invoiceId, serviceId, periodKey) {
+  try {
+    await recordLedgerEntry(reference, { invoiceId, serviceId, period: periodKey });
+  } catch (err) {
+    logger.error(`❌ Erreur écriture registre (${reference}) :`, err.message);
+  }
+}
+
+async function decrementOccurrences(serviceId, periodKey) {
+  try {
+    const record = await airtableRequest(() => getServicesTable().find(serviceId));
+    const lastBilledPeriod = record.fields['Dernière période facturée'];
+    
+    // Récupérer les valeurs actuelles avec conversion en nombre
+    // (une occurrence = une période facturée, quelle que soit la périodicité)
+    const periodesFacturees = parseInt(record.fields['Mois facturés'] || '0', 10) + 1;
+    const totalOccurrences = parseInt(record.fields['Occurrences totales'] || '0', 10);
+    
+    // Calculer les occurrences restantes
+    const restants = Math.max(0, totalOccurrences - periodesFacturees);
+
+    // Mettre à jour les compteurs dans Airtable
+    await airtableRequest(() => getServicesTable().update(serviceId, {
+      'Mois facturés': periodesFacturees,
+      'Occurrences restantes': restants,
+      ...(!lastBilledPeriod || periodKey > lastBilledPeriod ? { 'Dernière période facturée': periodKey } : {}),
+    }));
+
+    logger.info(`📉 Service ${serviceId} : ${restants}/${totalOccurrences} période(s) restante(s)`);
+  } catch (err) {
+    logger.error(`❌ Erreur mise à jour occurrences (${serviceId}) :`, err.message);
+  }
+}
+
+async function markPeriodBilled(serviceId, periodKey) {
+  try {
+    const record = await airtableRequest(() => getServicesTable().find(serviceId));
+    const lastBilledPeriod = record.fields['Dernière période facturée'];
+    if (lastBilledPeriod && lastBilledPeriod >= periodKey) return;
+
+    await airtableRequest(() => getServicesTable().update(serviceId, { 'Dernière période facturée': periodKey }));
+    logger.info(`📅 Service ${serviceId} : dernière période facturée ${periodKey}`);
+  } catch (err) {
+    logger.error(`❌ Erreur mise à jour dernière période facturée (${serviceId}) :`, err.message);
+  }
+}
+
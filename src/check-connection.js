@@ -1,47 +1,208 @@
-// Script pour tester la connexion à l'API Sellsy
+// Vérification préalable : connexion Sellsy, structure de la base Airtable et références Sellsy
 import dotenv from 'dotenv';
-import { checkSellsyConnection } from './sellsy.js';
+import { getSellsyClient, getEntityKey } from './sellsy.js';
+import { getAbonnementsTable, getServicesTable, getSchema, getExpectedFields, getBaseTables, airtableRequest } from './airtable.js';
+import { logger } from './logger.js';
 
 // Chargement des variables d'environnement
 dotenv.config();
 
 /**
- * Fonction principale pour tester la connexion à l'API Sellsy
+ * Fonction principale de la vérification préalable : affiche chaque problème détecté
+ * et se termine avec un code non nul s'il y a au moins une erreur
  */
 async function main() {
-  console.log('🔄 Test de connexion à l\'API Sellsy...');
+  logger.info('🔄 Vérification préalable (Sellsy et Airtable)...');
+  const errors = [];
+  const warnings = [];
 
   try {
     // Vérifier que les variables d'environnement nécessaires sont définies
-    if (!process.env.SELLSY_CLIENT_ID || !process.env.SELLSY_CLIENT_SECRET) {
-      console.error('❌ Variables d\'environnement SELLSY_CLIENT_ID et/ou SELLSY_CLIENT_SECRET non définies');
-      console.error('💡 Assurez-vous d\'avoir créé un fichier .env avec ces variables ou de les avoir configurées dans GitHub Actions');
+    const missingEnv = ['SELLSY_CLIENT_ID', 'SELLSY_CLIENT_SECRET', 'AIRTABLE_API_KEY', 'AIRTABLE_BASE_ID'].filter((key) => !process.env[key]);
+    if (missingEnv.length) {
+      logger.error(`❌ Variables d'environnement non définies : ${missingEnv.join(', ')}`);
+      logger.error('💡 Assurez-vous d\'avoir créé un fichier .env avec ces variables ou de les avoir configurées dans GitHub Actions');
       process.exit(1);
     }
-    
+
     // Tester la connexion
-    const isConnected = await checkSellsyConnection();
-    
-    if (isConnected) {
-      console.log('✅ Connexion à l\'API Sellsy réussie! Vos identifiants sont valides.');
-      process.exit(0);
-    } else {
-      console.error('❌ Échec de la connexion à l\'API Sellsy. Vérifiez vos identifiants.');
+    const isConnected = await getSellsyClient().checkConnection();
+
+    if (!isConnected) {
+      logger.error('❌ Échec de la connexion à l\'API Sellsy. Vérifiez vos identifiants.');
       process.exit(1);
     }
+    logger.info('✅ Connexion à l\'API Sellsy réussie! Vos identifiants sont valides.');
+
+    await checkAirtableSchema(errors, warnings);
+
+    // Les références Sellsy ne sont vérifiées que si les tables sont lisibles
+    if (!errors.length) {
+      await checkSellsyReferences(errors, warnings);
+    }
   } catch (error) {
-    console.error('❌ Erreur lors du test de connexion:');
-    console.error(error);
-    
+    logger.error('❌ Erreur lors de la vérification:', error);
+
     // Conseils de débogage
-    console.log('\n💡 Conseils de dépannage:');
-    console.log('1. Vérifiez que vos identifiants SELLSY_CLIENT_ID et SELLSY_CLIENT_SECRET sont corrects');
-    console.log('2. Assurez-vous que votre compte Sellsy dispose des autorisations API nécessaires');
-    console.log('3. Vérifiez votre connexion Internet');
-    console.log('4. L\'API Sellsy pourrait être temporairement indisponible, réessayez plus tard');
-    
+    logger.info('\n💡 Conseils de dépannage:');
+    logger.info('1. Vérifiez que vos identifiants SELLSY_CLIENT_ID et SELLSY_CLIENT_SECRET sont corrects');
+    logger.info('2. Assurez-vous que votre compte Sellsy dispose des autorisations API nécessaires');
+    logger.info('3. Vérifiez que le jeton Airtable a accès à la base AIRTABLE_BASE_ID');
+    logger.info('4. Vérifiez votre connexion Internet');
+    logger.info('5. L\'API Sellsy pourrait être temporairement indisponible, réessayez plus tard');
+
     process.exit(1);
   }
+
+  for (const warning of warnings) logger.warn(`⚠️ ${warning}`);
+  for (const error of errors) logger.error(`❌ ${error}`);
+
+  if (errors.length) {
+    logger.error(`❌ Vérification préalable en échec : ${errors.length} erreur(s), ${warnings.length} avertissement(s)`);
+    process.exit(1);
+  }
+  logger.info(`✅ Vérification préalable réussie (${warnings.length} avertissement(s))`);
+  process.exit(0);
+}
+
+/**
+ * Vérifie que les tables, vues et champs de airtable-schema.json existent dans la base
+ * @param {string[]} errors - Les erreurs détectées (champs obligatoires, tables)
+ * @param {string[]} warnings - Les avertissements (champs optionnels)
+ * @returns {Promise<void>}
+ */
+async function checkAirtableSchema(errors, warnings) {
+  logger.info('🔄 Vérification de la structure de la base Airtable...');
+
+  let tables;
+  try {
+    tables = await getBaseTables();
+  } catch (error) {
+    const status = error.response?.status;
+    // Sans le droit schema.bases:read, la structure est vérifiée en lisant chaque table
+    warnings.push(`Structure de la base illisible (${status || error.message}) : accordez le droit schema.bases:read au jeton Airtable pour vérifier les champs`);
+    for (const [key, getTable] of [['abonnements', getAbonnementsTable], ['services', getServicesTable]]) {
+      try {
+        await airtableRequest(() => getTable().select({ maxRecords: 1 }).all());
+      } catch (err) {
+        errors.push(`Table "${getSchema()[key].table}" illisible : ${err.message}`);
+      }
+    }
+    return;
+  }
+
+  for (const [key, config] of Object.entries(getSchema())) {
+    const table = tables.find((t) => t.name === config.table);
+    if (!table) {
+      // Table optionnelle (consommations) : la fonctionnalité est simplement inutilisée
+      (config.optional ? warnings : errors).push(`Table "${config.table}" (${key}) introuvable dans la base`);
+      continue;
+    }
+
+    if (config.view && !(table.views || []).some((view) => view.name === config.view)) {
+      errors.push(`Vue "${config.view}" introuvable dans la table "${config.table}"`);
+    }
+
+    const columns = new Set((table.fields || []).map((field) => field.name));
+    for (const field of getExpectedFields(key)) {
+      if (columns.has(field.column)) continue;
+      const label = field.column === field.name ? `"${field.column}"` : `"${field.column}" (${field.name})`;
+      if (field.required) {
+        errors.push(`Champ obligatoire ${label} introuvable dans la table "${config.table}"`);
+      } else {
+        warnings.push(`Champ optionnel ${label} introuvable dans la table "${config.table}"`);
+      }
+    }
+  }
+
+  logger.info('✅ Structure Airtable vérifiée');
+}
+
+/**
+ * Vérifie, dans le compte Sellsy de chaque entité, que les méthodes de paiement et les services
+ * des abonnements actifs existent
+ * @param {string[]} errors - Les erreurs détectées
+ * @param {string[]} warnings - Les avertissements
+ * @returns {Promise<void>}
+ */
+async function checkSellsyReferences(errors, warnings) {
+  logger.info('🔄 Vérification des références Sellsy des abonnements actifs...');
+
+  const { activeFilter, view } = getSchema().abonnements;
+  const abonnements = await airtableRequest(() => getAbonnementsTable().select({
+    filterByFormula: activeFilter,
+    ...(view ? { view } : {}),
+  }).all());
+  logger.info(`📦 ${abonnements.length} abonnement(s) actif(s)`);
+
+  const serviceIds = [...new Set(abonnements.flatMap((abonnement) => abonnement.fields['Services liés'] || []))];
+  const services = serviceIds.length
+    ? await airtableRequest(() => getServicesTable().select({
+      filterByFormula: `AND({Catégorie} = 'Abonnement', OR(${serviceIds.map((id) => `RECORD_ID() = '${id}'`).join(', ')}))`,
+    }).all())
+    : [];
+
+  // Abonnements regroupés par entité : chaque entité a son propre compte Sellsy
+  const abonnementsByEntity = new Map();
+  for (const abonnement of abonnements) {
+    const entity = String(abonnement.fields['Entité'] || '').trim();
+    const key = getEntityKey(entity);
+    if (!abonnementsByEntity.has(key)) abonnementsByEntity.set(key, { entity, abonnements: [] });
+    abonnementsByEntity.get(key).abonnements.push(abonnement);
+  }
+
+  let checkedMethods = 0;
+  let checkedServices = 0;
+
+  for (const { entity, abonnements: entityAbonnements } of abonnementsByEntity.values()) {
+    const label = entity ? ` (entité ${entity})` : '';
+
+    let sellsy;
+    try {
+      sellsy = getSellsyClient(entity);
+    } catch (error) {
+      errors.push(error.message);
+      continue;
+    }
+    if (entity && !await sellsy.checkConnection()) {
+      errors.push(`Entité "${entity}" : connexion à l'API Sellsy impossible, vérifiez ses identifiants`);
+      continue;
+    }
+
+    // Méthodes de paiement : prélèvement par défaut, comme à la génération des factures
+    const paymentMethods = new Set(entityAbonnements.map((abonnement) => abonnement.fields['Mode de paiement'] || 'prélèvement'));
+    for (const paymentMethod of paymentMethods) {
+      try {
+        await sellsy.findPaymentMethodByName(paymentMethod);
+      } catch (error) {
+        errors.push(`Méthode de paiement "${paymentMethod}" introuvable dans Sellsy${label} : ${error.message}`);
+      }
+    }
+    checkedMethods += paymentMethods.size;
+
+    const entityServiceIds = new Set(entityAbonnements.flatMap((abonnement) => abonnement.fields['Services liés'] || []));
+    const sellsyIds = new Map();
+    for (const service of services.filter((service) => entityServiceIds.has(service.id))) {
+      const sellsyId = service.fields['ID Sellsy'];
+      if (!sellsyId) {
+        warnings.push(`Service ${service.id} (${service.fields['Nom du service'] || 'sans nom'}) : ID Sellsy manquant`);
+        continue;
+      }
+      if (!sellsyIds.has(sellsyId)) sellsyIds.set(sellsyId, []);
+      sellsyIds.get(sellsyId).push(service.id);
+    }
+
+    for (const [sellsyId, ids] of sellsyIds) {
+      try {
+        await sellsy.getServiceDetails(sellsyId);
+      } catch (error) {
+        errors.push(`Service Sellsy ${sellsyId} introuvable${label} (services Airtable ${ids.join(', ')}) : ${error.message}`);
+      }
+    }
+    checkedServices += sellsyIds.size;
+  }
+
+  logger.info(`✅ ${checkedMethods} méthode(s) de paiement et ${checkedServices} service(s) Sellsy vérifiés (${abonnementsByEntity.size} compte(s))`);
 }
 
 // Exécution du script
@@ -0,0 +1,234 @@
+// Émission d'un avoir Sellsy sur une facture générée (résiliation ou correction de facturation)
+import dotenv from 'dotenv';
+import { getFacturesTable, getServicesTable, airtableRequest } from './airtable.js';
+import { getSellsyClient } from './sellsy.js';
+import { formatDate, businessToday, formatDateFr, countDays, buildUsageReference, parseCliArgs, requireEnv } from './utils.js';
+import { logger } from './logger.js';
+
+dotenv.config();
+
+requireEnv([
+  'AIRTABLE_API_KEY',
+  'AIRTABLE_BASE_ID',
+  'SELLSY_CLIENT_ID',
+  'SELLSY_CLIENT_SECRET',
+]);
+
+const facturesTable = getFacturesTable();
+const servicesTable = getServicesTable();
+
+// Options de la ligne de commande : --invoice=<ID facture Sellsy> [--date=YYYY-MM-DD] [--reason=<motif>]
+// [--restore | --no-restore] [--plan] [--force]
+const cliOptions = parseCliArgs(process.argv.slice(2));
+
+/**
+ * Fonction principale : crée l'avoir (total, ou au prorata à partir de la date de résiliation)
+ * et restitue l'occurrence facturée aux services concernés
+ */
+async function main() {
+  const plan = Boolean(cliOptions.plan);
+
+  try {
+    const invoiceId = cliOptions.invoice;
+    if (!invoiceId || invoiceId === true) {
+      throw new Error('ID de facture Sellsy manquant (--invoice=<ID>)');
+    }
+    const cancellationDate = resolveCancellationDate(cliOptions);
+
+    // Seules les factures du journal (émises par le générateur) peuvent recevoir un avoir
+    const log = await findInvoiceLog(invoiceId);
+    if (log.fields['Avoir'] && !cliOptions.force) {
+      throw new Error(`la facture ${invoiceId} a déjà un avoir (${log.fields['Avoir']}), --force pour en émettre un autre`);
+    }
+
+    // L'avoir est émis dans le compte Sellsy de l'entité qui a émis la facture
+    const sellsy = getSellsyClient(log.fields['Entité']);
+    if (!await sellsy.checkConnection()) {
+      throw new Error("❌ Connexion à l'API Sellsy impossible.");
+    }
+
+    const invoice = await sellsy.getInvoice(invoiceId, { rows: true });
+    if (invoice.status === 'draft' || invoice.status === 'cancelled') {
+      throw new Error(`la facture ${invoiceId} n'est pas validée (statut ${invoice.status})`);
+    }
+
+    const creditNoteData = buildCreditNotePayload(invoice, log, cancellationDate, cliOptions.reason);
+
+    // Un avoir total annule la période : l'occurrence est restituée sauf --no-restore.
+    // Un avoir au prorata accompagne une résiliation : l'occurrence reste consommée sauf --restore.
+    const restore = cliOptions['no-restore'] ? false : (cliOptions.restore ? true : !cancellationDate);
+
+    if (plan) {
+      logger.info('🧪 Mode plan : aucun avoir ne sera créé');
+      logger.info('📄 Données avoir :', creditNoteData);
+      logger.info(`ℹ️ Occurrence ${restore ? 'restituée' : 'conservée'} pour ${(log.fields['Services'] || []).length} service(s)`);
+      return;
+    }
+
+    const creditNote = await sellsy.createCreditNote(creditNoteData, invoiceId);
+
+    await airtableRequest(() => facturesTable.update(log.id, {
+      'Avoir': creditNote.number || String(creditNote.id),
+      'Montant avoir HT': Math.round(creditNoteData.rows.reduce((sum, row) => sum + parseFloat(row.unit_amount) * parseFloat(row.quantity), 0) * 100) / 100,
+      'Occurrence restituée': restore,
+    }));
+
+    if (restore) {
+      for (const serviceId of log.fields['Services'] || []) {
+        await restoreOccurrence(serviceId);
+      }
+    }
+
+    if (!creditNote.validated || !creditNote.linked) {
+      logger.warn(`⚠️ Avoir ${creditNote.id} à finaliser dans Sellsy : ${creditNote.validationError || creditNote.linkError}`);
+      process.exitCode = 1;
+    }
+    logger.info(`✅ Avoir ${creditNote.number || creditNote.id} émis sur la facture ${invoice.number || invoiceId}`);
+  } catch (err) {
+    logger.error('❌ Erreur principale :', err.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Lit la date de résiliation (--date), premier jour non dû de la période facturée
+ * @param {Object} options - Les options de la ligne de commande
+ * @returns {string|null} - La date (YYYY-MM-DD), ou null pour un avoir total
+ */
+function resolveCancellationDate(options) {
+  if (!options.date) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(options.date) || isNaN(new Date(`${options.date}T00:00:00`))) {
+    throw new Error(`Date de résiliation invalide : ${options.date} (format attendu : YYYY-MM-DD)`);
+  }
+  return options.date;
+}
+
+/**
+ * Recherche la facture dans le journal des factures Airtable
+ * @param {string|number} invoiceId - L'ID de la facture Sellsy
+ * @returns {Promise<Object>} - L'enregistrement du journal ({ id, fields })
+ */
+async function findInvoiceLog(invoiceId) {
+  const records = await airtableRequest(() => facturesTable.select({
+    filterByFormula: `{ID facture Sellsy} = '${String(invoiceId).replace(/'/g, "\\'")}'`,
+    maxRecords: 1,
+  }).all());
+
+  if (!records.length) {
+    throw new Error(`facture ${invoiceId} absente du journal des factures : elle n'a pas été émise par le générateur`);
+  }
+  return { id: records[0].id, fields: records[0].fields };
+}
+
+/**
+ * Retrouve la période couverte par une facture : champs "Début période" et "Fin période" du journal,
+ * à défaut la note des factures françaises émises avant ces champs ("Période facturée : du ... au ...")
+ * @param {Object} invoice - La facture Sellsy
+ * @param {Object} log - L'enregistrement du journal des factures
+ * @returns {{start: string, end: string}|null} - Les dates (YYYY-MM-DD), ou null si absentes
+ */
+function getCoveredPeriod(invoice, log) {
+  if (log.fields['Début période'] && log.fields['Fin période']) {
+    return { start: log.fields['Début période'], end: log.fields['Fin période'] };
+  }
+
+  const match = (invoice.note || '').match(/Période facturée : du (\d{2})\/(\d{2})\/(\d{4}) au (\d{2})\/(\d{2})\/(\d{4})/);
+  if (!match) return null;
+  const [, d1, m1, y1, d2, m2, y2] = match;
+  return { start: `${y1}-${m1}-${d1}`, end: `${y2}-${m2}-${d2}` };
+}
+
+/**
+ * Construit les données de l'avoir : reprise des lignes de la facture, au prorata des jours
+ * restants de la période à partir de la date de résiliation (sans les consommations, dues en entier)
+ * @param {Object} invoice - La facture Sellsy (avec ses lignes)
+ * @param {Object} log - L'enregistrement du journal des factures
+ * @param {string|null} cancellationDate - La date de résiliation (YYYY-MM-DD), null pour un avoir total
+ * @param {string} [reason] - Le motif de l'avoir
+ * @returns {Object} - Les données de l'avoir (payload POST /credit-notes)
+ */
+function buildCreditNotePayload(invoice, log, cancellationDate, reason) {
+  let ratio = 1;
+  let creditedPeriod = null;
+
+  if (cancellationDate) {
+    const covered = getCoveredPeriod(invoice, log);
+    if (!covered) {
+      throw new Error(`période couverte de la facture ${invoice.id} introuvable (journal et note), avoir au prorata impossible`);
+    }
+    if (cancellationDate <= covered.start || cancellationDate > covered.end) {
+      throw new Error(`la date de résiliation doit être comprise entre le ${covered.start} (exclu) et le ${covered.end}, sinon émettre un avoir total`);
+    }
+    ratio = countDays(cancellationDate, covered.end) / countDays(covered.start, covered.end);
+    creditedPeriod = { start: cancellationDate, end: covered.end };
+  }
+
+  const invoiceRows = (invoice.rows || invoice._embed?.rows || []).filter((row) => row.unit_amount !== undefined);
+  if (!invoiceRows.length) {
+    throw new Error(`aucune ligne récupérée pour la facture ${invoice.id}`);
+  }
+
+  // Les consommations sont les dernières lignes de la facture, une par référence CONSO- du journal :
+  // déjà consommées, elles ne sont reprises que par un avoir total
+  const usageCount = String(log.fields['Référence'] || '').split(',')
+    .filter((reference) => reference.trim().startsWith(buildUsageReference(''))).length;
+  const creditedRows = creditedPeriod && usageCount ? invoiceRows.slice(0, -usageCount) : invoiceRows;
+  if (creditedRows.length < invoiceRows.length) {
+    logger.info(`ℹ️ ${invoiceRows.length - creditedRows.length} ligne(s) de consommation non reprise(s) dans l'avoir au prorata`);
+  }
+  if (!creditedRows.length) {
+    throw new Error(`la facture ${invoice.id} ne porte que des consommations, avoir au prorata impossible`);
+  }
+
+  const rows = creditedRows.map((row) => ({
+    type: row.type || 'catalog',
+    ...(row.related ? { related: { id: row.related.id, type: row.related.type } } : {}),
+    unit_amount: (Math.round(parseFloat(row.unit_amount) * ratio * 100) / 100).toString(),
+    ...(row.tax_id ? { tax_id: row.tax_id } : {}),
+    quantity: String(row.quantity || '1'),
+    ...(creditedPeriod
+      ? { description: `${row.description || ''} - avoir du ${formatDateFr(creditedPeriod.start)} au ${formatDateFr(creditedPeriod.end)}`.replace(/^ - /, '') }
+      : (row.description ? { description: row.description } : {})),
+  }));
+
+  const invoiceLabel = invoice.number || invoice.id;
+  // Référence propre à cette émission : un nouvel avoir (--force) ne peut pas être confondu avec un précédent
+  const runReference = `AV-${invoiceLabel}-${Date.now().toString(36).toUpperCase()}`;
+  return {
+    date: formatDate(businessToday()),
+    subject: `Avoir sur la facture ${invoiceLabel}`,
+    currency: invoice.currency || 'EUR',
+    related: (invoice.related || []).filter((item) => item.type === 'company' || item.type === 'individual')
+      .map((item) => ({ id: item.id, type: item.type })),
+    note: `Avoir ${creditedPeriod ? `au prorata, résiliation au ${formatDateFr(cancellationDate)}` : 'total'} sur la facture ${invoiceLabel} (réf. ${runReference}).` +
+      (reason && reason !== true ? `\nMotif : ${reason}` : '') +
+      (log.fields['Référence'] ? `\nRéf. ${log.fields['Référence']}` : ''),
+    rows,
+  };
+}
+
+/**
+ * Restitue une occurrence à un service : une période facturée de moins
+ * @param {string} serviceId - L'ID Airtable du service
+ * @returns {Promise<void>}
+ */
+async function restoreOccurrence(serviceId) {
+  try {
+    const record = await airtableRequest(() => servicesTable.find(serviceId));
+    const periodesFacturees = Math.max(0, parseInt(record.fields['Mois facturés'] || '0', 10) - 1);
+    const totalOccurrences = parseInt(record.fields['Occurrences totales'] || '0', 10);
+    const restants = Math.max(0, totalOccurrences - periodesFacturees);
+
+    await airtableRequest(() => servicesTable.update(serviceId, {
+      'Mois facturés': periodesFacturees,
+      'Occurrences restantes': restants,
+    }));
+    logger.info(`📈 Service ${serviceId} : occurrence restituée, ${restants}/${totalOccurrences} période(s) restante(s)`);
+  } catch (err) {
+    logger.error(`❌ Erreur restitution de l'occurrence (${serviceId}) :`, err.message);
+    process.exitCode = 1;
+  }
+}
+
+// Exécution du script
+main();
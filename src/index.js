@@ -1,243 +1,200 @@
 import dotenv from 'dotenv';
-import Airtable from 'airtable';
-import { generateInvoice, checkSellsyConnection } from './sellsy.js';
-import { formatDate, calculateDueDate, isToday } from './utils.js';
+import { getSellsyClient, getEntityKey } from './sellsy.js';
+import { formatPlanText, writePlanFile } from './plan.js';
+import { getAbonnementsTable, getSchema, airtableRequest } from './airtable.js';
+import { isBillable, fetchServicesForAbonnement, fetchPendingDraftCounts, generateInvoices, getAbonnementEntity } from './billing.js';
+import { mapWithConcurrency } from './throttle.js';
+import { checkContractEnd } from './lifecycle.js';
+import { createRunReport, reportFailed, printReportSummary, writeReport, sendReport } from './report.js';
+import { formatDate, businessToday, parseCliArgs, requireEnv } from './utils.js';
+import { logger, withLogContext } from './logger.js';
 
 dotenv.config();
 
 // Vérification des variables d'environnement
-const requiredEnv = [
+requireEnv([
   'AIRTABLE_API_KEY',
   'AIRTABLE_BASE_ID',
   'SELLSY_CLIENT_ID',
   'SELLSY_CLIENT_SECRET',
-];
-const missingEnv = requiredEnv.filter((key) => !process.env[key]);
-if (missingEnv.length) {
-  console.error(`❌ Variables d'environnement manquantes : ${missingEnv.join(', ')}`);
-  process.exit(1);
-}
-console.log('✅ Variables d\'environnement chargées');
+]);
+
+const abonnementsTable = getAbonnementsTable();
+
+// Nombre d'abonnements traités en parallèle
+const CONCURRENCY = parseInt(process.env.CONCURRENCY || '4', 10) || 4;
+
+// Nombre maximal de périodes en retard rattrapées par service et par exécution
+const MAX_CATCHUP_PERIODS = parseInt(process.env.MAX_CATCHUP_PERIODS || '3', 10);
 
-const base = new Airtable({ apiKey: process.env.AIRTABLE_API_KEY }).base(process.env.AIRTABLE_BASE_ID);
-const abonnementsTable = base('Abonnements');
-const servicesTable = base('service_sellsy');
+// Décalage des dates de facturation et d'échéance hors week-ends et jours fériés : suivant, precedent ou vide
+const BUSINESS_DAY_RULE = (process.env.BUSINESS_DAY_RULE || '').trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// Délai (en jours) avant la fin d'un contrat pour le signaler dans le rapport
+const CONTRACT_END_WARNING_DAYS = parseInt(process.env.CONTRACT_END_WARNING_DAYS || '30', 10);
+
+// Options de la ligne de commande : --plan [--date=YYYY-MM-DD] [--output=plan.json|plan.csv] | --draft
+const cliOptions = parseCliArgs(process.argv.slice(2));
+
+// Mode brouillon : factures créées sans validation, à relire puis valider avec npm run approve
+const DRAFT_MODE = Boolean(cliOptions.draft) || ['true', '1', 'oui'].includes((process.env.INVOICE_DRAFTS || '').trim().toLowerCase());
 
 async function main() {
-  console.log('🚀 Lancement du traitement des factures...');
+  const plan = Boolean(cliOptions.plan);
+  logger.info(plan
+    ? '🧪 Mode plan : simulation de la facturation, aucune facture ne sera créée'
+    : `🚀 Lancement du traitement des factures${DRAFT_MODE ? ' (brouillons à valider)' : ''}...`);
+
+  // Rapport des factures créées, éléments ignorés et échecs (--date n'existe qu'en mode plan)
+  const report = createRunReport(businessToday());
 
   try {
-    if (!await checkSellsyConnection()) {
+    const runDate = resolveRunDate(cliOptions, plan);
+    if (BUSINESS_DAY_RULE && !['suivant', 'precedent'].includes(BUSINESS_DAY_RULE)) {
+      throw new Error(`BUSINESS_DAY_RULE invalide : ${process.env.BUSINESS_DAY_RULE} (attendu : suivant ou precedent)`);
+    }
+    const context = { runDate, plan, report, maxCatchUp: isNaN(MAX_CATCHUP_PERIODS) ? 3 : MAX_CATCHUP_PERIODS, businessDayRule: BUSINESS_DAY_RULE, draft: DRAFT_MODE };
+
+    if (!await getSellsyClient().checkConnection()) {
       throw new Error("❌ Connexion à l'API Sellsy impossible.");
     }
 
     const abonnements = await fetchAbonnementsActifs();
-    console.log(`📦 ${abonnements.length} abonnements actifs`);
+    logger.info(`📦 ${abonnements.length} abonnements actifs`);
+
+    // Un compte Sellsy par entité : les abonnements d'une entité inaccessible sont en échec
+    const sellsyClients = await connectSellsyEntities(abonnements);
+
+    // Les brouillons en attente de validation réservent leur occurrence
+    context.pendingDrafts = await fetchPendingDraftCounts();
 
-    let totalInvoices = 0;
+    const planned = [];
 
-    for (const abonnement of abonnements) {
-      if (!shouldInvoiceToday(abonnement)) continue;
+    const results = await mapWithConcurrency(abonnements, CONCURRENCY, (abonnement) => withLogContext({ abonnementId: abonnement.id }, async () => {
+      if (!isBillable(abonnement, runDate, report)) return null;
 
-      const services = await fetchServicesForAbonnement(abonnement);
+      const services = await fetchServicesForAbonnement(abonnement, report);
       if (!services.length) {
-        console.log(`ℹ️ Aucun service actif trouvé pour l'abonnement ${abonnement.id}`);
-        continue;
+        logger.info(`ℹ️ Aucun service actif trouvé pour l'abonnement ${abonnement.id}`);
+        return null;
+      }
+
+      const sellsy = sellsyClients.get(getEntityKey(getAbonnementEntity(abonnement)));
+      if (sellsy instanceof Error) {
+        reportFailed(report, { abonnementId: abonnement.id, serviceIds: services.map((service) => service.id), reason: sellsy.message });
+        return null;
+      }
+
+      try {
+        return await generateInvoices(abonnement, services, { ...context, sellsy });
+      } catch (err) {
+        logger.error(`❌ Erreur traitement abonnement ${abonnement.id} :`, err.message);
+        reportFailed(report, { abonnementId: abonnement.id, reason: err.message });
+        return null;
       }
+    }));
 
-      const count = await generateInvoices(abonnement, services);
-      totalInvoices += count;
+    for (const result of results) {
+      if (result) planned.push(...result.planned);
     }
 
-    console.log(`✅ ${totalInvoices} facture(s) générée(s) avec succès.`);
+    // Fins de contrat, une fois les compteurs d'occurrences mis à jour par la facturation
+    const warningDays = isNaN(CONTRACT_END_WARNING_DAYS) ? 30 : CONTRACT_END_WARNING_DAYS;
+    await mapWithConcurrency(abonnements, CONCURRENCY, (abonnement) => withLogContext({ abonnementId: abonnement.id }, () =>
+      checkContractEnd(abonnement, { runDate, plan, report, warningDays })));
+
+    if (plan) {
+      logger.info(formatPlanText(planned, formatDate(runDate)));
+      if (cliOptions.output) {
+        await writePlanFile(planned, formatDate(runDate), cliOptions.output);
+      }
+      return;
+    }
+
+    await publishReport(report);
+
+    // Code de sortie non nul si une facture est en échec, pour signaler l'exécution dans GitHub Actions
+    if (report.failed.length) {
+      process.exitCode = 1;
+    }
   } catch (err) {
-    console.error('❌ Erreur principale :', err.message);
+    logger.error('❌ Erreur principale :', err.message);
+    if (!plan) {
+      reportFailed(report, { reason: `Erreur principale : ${err.message}` });
+      await publishReport(report);
+    }
     process.exit(1);
   }
 }
 
-function shouldInvoiceToday(abonnement) {
-  const today = new Date().getDate();
-  const billingDay = parseInt(abonnement.fields['Jour de facturation'], 10);
+async function publishReport(report) {
+  report.finishedAt = new Date().toISOString();
+  printReportSummary(report);
 
-  // Vérifier si le jour de facturation est valide
-  if (!billingDay || isNaN(billingDay) || billingDay < 1 || billingDay > 31) {
-    console.warn(`⚠️ Abonnement ${abonnement.id} : jour de facturation invalide (${abonnement.fields['Jour de facturation']})`);
-    return false;
+  try {
+    await writeReport(report);
+  } catch (err) {
+    logger.error('❌ Erreur écriture du rapport :', err.message);
   }
+  await sendReport(report);
+}
 
-  // Cas spécial pour les mois avec moins de 31 jours - facturer le dernier jour du mois
-  const currentDate = new Date();
-  const lastDayOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0).getDate();
-  
-  // Si on est le dernier jour du mois et le jour de facturation est supérieur au nombre de jours du mois
-  if (today === lastDayOfMonth && billingDay > lastDayOfMonth) {
-    console.log(`✅ Abonnement ${abonnement.id} : facturation effectuée le dernier jour du mois (${today}) car le jour configuré (${billingDay}) n'existe pas ce mois-ci`);
-    return true;
-  }
+function resolveRunDate(options, plan) {
+  // Jour du calendrier de l'entreprise (BUSINESS_TIMEZONE), et non celui du serveur (UTC sur GitHub Actions)
+  if (!options.date) return businessToday();
 
-  if (today !== billingDay) {
-    console.log(`ℹ️ Abonnement ${abonnement.id} : pas de facturation aujourd'hui (jour ${today}, jour de facturation configuré: ${billingDay})`);
-    return false;
+  if (!plan) {
+    throw new Error("L'option --date n'est utilisable qu'en mode plan (--plan)");
   }
-
-  // Vérifier la date de début d'abonnement
-  if (abonnement.fields['Date de début']) {
-    const startDate = new Date(abonnement.fields['Date de début']);
-    if (startDate > new Date()) {
-      console.log(`ℹ️ Abonnement ${abonnement.id} : la date de début (${formatDate(startDate)}) est dans le futur`);
-      return false;
-    }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(options.date) || isNaN(new Date(`${options.date}T00:00:00`))) {
+    throw new Error(`Date simulée invalide : ${options.date} (format attendu : YYYY-MM-DD)`);
   }
 
-  console.log(`✅ Abonnement ${abonnement.id} : facturation prévue aujourd'hui`);
-  return true;
+  // Date locale (et non UTC) pour que le jour du mois corresponde à la saisie
+  return new Date(`${options.date}T00:00:00`);
 }
 
 async function fetchAbonnementsActifs() {
   try {
-    const records = await abonnementsTable.select({
-      filterByFormula: `Statut = 'Actif'`,
-      view: 'Grid view',
-    }).all();
+    // Filtre et vue configurés dans airtable-schema.json (noms des colonnes Airtable)
+    const { activeFilter, view } = getSchema().abonnements;
+    const records = await airtableRequest(() => abonnementsTable.select({
+      filterByFormula: activeFilter,
+      ...(view ? { view } : {}),
+    }).all());
 
     return records.map((r) => ({ id: r.id, fields: r.fields }));
   } catch (err) {
-    console.error('❌ Erreur lors de la récupération des abonnements actifs:', err.message);
+    logger.error('❌ Erreur lors de la récupération des abonnements actifs:', err.message);
     return [];
   }
 }
 
-async function fetchServicesForAbonnement(abonnement) {
-  const ids = abonnement.fields['Services liés'] || [];
-  const clientSellsyId = abonnement.fields['ID_Sellsy_abonné'];
-  
-  if (!clientSellsyId) {
-    console.warn(`⚠️ Abonnement ${abonnement.id} : ID_Sellsy_abonné manquant`);
-    return [];
-  }
-  
-  if (!ids.length) {
-    console.warn(`⚠️ Abonnement ${abonnement.id} : aucun service lié`);
-    return [];
-  }
-
-  const validServices = [];
-
-  for (const id of ids) {
-    try {
-      const service = await servicesTable.find(id);
-      const { fields } = service;
-
-      // Vérifier si le service est actif et de catégorie Abonnement
-      if ((fields['Actif'] !== 'Actif' && fields['Actif'] !== true) ||
-          fields['Catégorie'] !== 'Abonnement') {
-        console.log(`ℹ️ Service ${id} ignoré: ${!fields['Actif'] ? 'inactif' : 'pas un abonnement'}`);
-        continue;
-      }
-
-      // Vérifier que le service correspond au même client que l'abonnement
-      if (fields['ID_Sellsy_abonné'] !== clientSellsyId) {
-        console.warn(`⚠️ Service ${id} : ID_Sellsy_abonné (${fields['ID_Sellsy_abonné']}) ne correspond pas à l'abonnement (${clientSellsyId})`);
-        continue;
-      }
-
-      // Vérifier qu'il reste des occurrences à facturer
-      const occRestantes = fields['Occurrences restantes'] !== undefined ? parseInt(fields['Occurrences restantes'], 10) : 0;
-      if (isNaN(occRestantes) || occRestantes <= 0) {
-        console.log(`ℹ️ Service ${id} ignoré: aucune occurrence restante (${fields['Occurrences restantes']})`);
-        continue;
-      }
-
-      // Vérifier que le service a un ID Sellsy valide
-      if (!fields['ID Sellsy']) {
-        console.warn(`⚠️ Service ${id} : ID Sellsy manquant`);
-        continue;
-      }
-
-      validServices.push({ id: service.id, fields });
-    } catch (err) {
-      console.warn(`⚠️ Service ${id} non récupéré :`, err.message);
-    }
-  }
-
-  return validServices;
-}
-
-async function generateInvoices(abonnement, services) {
-  let count = 0;
-  const clientId = abonnement.fields['ID_Sellsy_abonné'];
-  const abonnementName = abonnement.fields['Nom de l\'abonnement'] || 'Abonnement sans nom';
+/**
+ * Client Sellsy de chaque entité des abonnements, connexion vérifiée une fois par entité
+ * (l'erreur est conservée à la place du client si l'entité n'est pas configurée ou inaccessible)
+ */
+async function connectSellsyEntities(abonnements) {
+  const clients = new Map([['', getSellsyClient()]]);
 
-  console.log(`📝 Génération des factures pour l'abonnement "${abonnementName}" (client ${clientId})`);
-
-  for (const service of services) {
-    const { fields } = service;
-
-    // Ces vérifications sont redondantes avec fetchServicesForAbonnement, mais assurent la cohérence
-    const occRestantes = parseInt(fields['Occurrences restantes'] || '0', 10);
-    if (isNaN(occRestantes) || occRestantes <= 0) {
-      console.log(`ℹ️ Service ${service.id} : aucune occurrence restante`);
-      continue;
-    }
-
-    const sellsyServiceId = fields['ID Sellsy'];
-    if (!sellsyServiceId) {
-      console.warn(`⚠️ Service ${service.id} : ID Sellsy manquant`);
-      continue;
-    }
-
-    // Préparer les données pour la facture
-    const invoiceData = {
-      clientId: clientId,
-      serviceId: sellsyServiceId,
-      serviceName: fields['Nom du service'],
-      price: fields['Prix HT'],
-      taxRate: fields['Taux TVA'] || 20,
-      paymentMethod: 'prélèvement', // Méthode configurée pour GoCardless
-    };
+  for (const abonnement of abonnements) {
+    const entity = getAbonnementEntity(abonnement);
+    const key = getEntityKey(entity);
+    if (clients.has(key)) continue;
 
     try {
-      // Générer la facture avec prélèvement GoCardless
-      const invoice = await generateInvoice(invoiceData);
-      
-      if (invoice && invoice.id) {
-        // Mettre à jour les compteurs d'occurrences uniquement si la facture a été créée
-        await decrementOccurrences(service.id);
-        console.log(`✅ Facture ${invoice.id} créée pour service "${fields['Nom du service']}" (${service.id})`);
-        count++;
-      } else {
-        console.warn(`⚠️ Facture non créée pour service ${service.id} : réponse inattendue de l'API`);
+      const sellsy = getSellsyClient(entity);
+      if (!await sellsy.checkConnection()) {
+        throw new Error(`Entité "${entity}" : connexion à l'API Sellsy impossible`);
       }
+      clients.set(key, sellsy);
     } catch (err) {
-      console.error(`❌ Erreur facturation service ${service.id} :`, err.message);
+      logger.error(`❌ ${err.message}`);
+      clients.set(key, err);
     }
   }
 
-  return count;
-}
-
-async function decrementOccurrences(serviceId) {
-  try {
-    const record = await servicesTable.find(serviceId);
-    
-    // Récupérer les valeurs actuelles avec conversion en nombre
-    const moisFactures = parseInt(record.fields['Mois facturés'] || '0', 10) + 1;
-    const totalOccurrences = parseInt(record.fields['Occurrences totales'] || '0', 10);
-    
-    // Calculer les occurrences restantes
-    const restants = Math.max(0, totalOccurrences - moisFactures);
-
-    // Mettre à jour les compteurs dans Airtable
-    await servicesTable.update(serviceId, {
-      'Mois facturés': moisFactures,
-      'Occurrences restantes': restants,
-    });
-
-    console.log(`📉 Service ${serviceId} : ${restants}/${totalOccurrences} occurrences restantes`);
-  } catch (err) {
-    console.error(`❌ Erreur mise à jour occurrences (${serviceId}) :`, err.message);
-  }
+  return clients;
 }
 
 main();
@@ -0,0 +1,113 @@
+// Registre local des factures émises, indexé par clé d'idempotence (service + période)
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+
+const DEFAULT_LEDGER_PATH = 'data/invoice-ledger.json';
+
+// Cache du registre pour la durée de l'exécution
+let entries = null;
+let loading = null;
+
+// Écritures sérialisées : les abonnements sont traités en parallèle
+let pendingWrite = Promise.resolve();
+
+/**
+ * Retourne le chemin du fichier de registre
+ * @returns {string} - Le chemin du fichier (LEDGER_PATH ou valeur par défaut)
+ */
+function getLedgerPath() {
+  return process.env.LEDGER_PATH || DEFAULT_LEDGER_PATH;
+}
+
+/**
+ * Charge le registre depuis le disque (une seule fois par exécution)
+ * @returns {Promise<Object>} - Les entrées du registre, indexées par référence
+ */
+export async function loadLedger() {
+  if (entries) return entries;
+  if (!loading) loading = readLedger();
+  return loading;
+}
+
+/**
+ * Oublie le registre chargé, une fois les écritures en cours terminées : il sera relu sur disque au prochain accès
+ * (serveur de facturation à la demande, dont le processus dure plus qu'une exécution)
+ * @returns {Promise<void>}
+ */
+export async function reloadLedger() {
+  await pendingWrite;
+  entries = null;
+  loading = null;
+}
+
+/**
+ * Lit le fichier de registre
+ * @returns {Promise<Object>} - Les entrées du registre
+ */
+async function readLedger() {
+  try {
+    const content = await fs.readFile(getLedgerPath(), 'utf8');
+    entries = JSON.parse(content);
+    logger.info(`📒 Registre des factures chargé (${Object.keys(entries).length} entrée(s))`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Registre des factures illisible (${getLedgerPath()}) : ${error.message}`);
+    }
+    logger.info(`📒 Aucun registre existant, création de ${getLedgerPath()}`);
+    entries = {};
+  }
+
+  return entries;
+}
+
+/**
+ * Recherche une facture déjà émise pour une référence
+ * @param {string} reference - La clé d'idempotence de la facture
+ * @returns {Promise<Object|null>} - L'entrée du registre ou null
+ */
+export async function findLedgerEntry(reference) {
+  const ledger = await loadLedger();
+  return ledger[reference] || null;
+}
+
+/**
+ * Enregistre une facture émise et sauvegarde le registre sur disque
+ * @param {string} reference - La clé d'idempotence de la facture
+ * @param {Object} data - Les informations de la facture (ID Sellsy, service, période...)
+ * @returns {Promise<void>}
+ */
+export async function recordLedgerEntry(reference, data) {
+  const ledger = await loadLedger();
+  ledger[reference] = { ...data, recordedAt: new Date().toISOString() };
+  return saveLedger(ledger);
+}
+
+/**
+ * Retire une référence du registre (facture annulée ou supprimée) et sauvegarde le registre sur disque
+ * @param {string} reference - La clé d'idempotence de la facture
+ * @returns {Promise<boolean>} - Vrai si la référence était enregistrée
+ */
+export async function removeLedgerEntry(reference) {
+  const ledger = await loadLedger();
+  if (!ledger[reference]) return false;
+  delete ledger[reference];
+  await saveLedger(ledger);
+  return true;
+}
+
+/**
+ * Sauvegarde le registre sur disque, à la suite des écritures en cours
+ * @param {Object} ledger - Les entrées du registre
+ * @returns {Promise<void>}
+ */
+function saveLedger(ledger) {
+  const ledgerPath = getLedgerPath();
+  const write = pendingWrite.then(async () => {
+    await fs.mkdir(path.dirname(ledgerPath), { recursive: true });
+    await fs.writeFile(ledgerPath, JSON.stringify(ledger, null, 2));
+  });
+  // Une écriture en échec ne bloque pas les suivantes
+  pendingWrite = write.catch(() => {});
+  return write;
+}
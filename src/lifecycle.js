@@ -0,0 +1,170 @@
+// Fin de contrat des abonnements : terminaison, reconduction tacite et fins de contrat à venir
+import { getAbonnementsTable, getServicesTable, airtableRequest } from './airtable.js';
+import { reportContract, reportFailed } from './report.js';
+import { formatDate, businessToday, calculateDueDate, addMonths, getPeriodicity } from './utils.js';
+import { logger } from './logger.js';
+
+// Durée de reconduction par défaut : un an, en nombre de périodes du service
+const DEFAULT_RENEWAL_MONTHS = 12;
+
+/**
+ * Indique si la reconduction tacite est activée sur l'abonnement
+ * @param {Object} abonnement - L'abonnement Airtable
+ * @returns {boolean} - Vrai si le champ "Reconduction tacite" est coché (ou vaut "Oui")
+ */
+function isTacitRenewal(abonnement) {
+  const value = abonnement.fields['Reconduction tacite'];
+  return value === true || String(value || '').trim().toLowerCase() === 'oui';
+}
+
+/**
+ * Récupère les services d'abonnement actifs liés à un abonnement, y compris ceux sans occurrence restante
+ * @param {Object} abonnement - L'abonnement Airtable
+ * @returns {Promise<Object[]>} - Les services ({ id, fields })
+ */
+async function fetchContractServices(abonnement) {
+  const ids = abonnement.fields['Services liés'] || [];
+  if (!ids.length) return [];
+
+  const records = await airtableRequest(() => getServicesTable().select({
+    filterByFormula: `OR(${ids.map((id) => `RECORD_ID() = '${id}'`).join(', ')})`,
+  }).all());
+
+  return records
+    .filter(({ fields }) => (fields['Actif'] === 'Actif' || fields['Actif'] === true) && fields['Catégorie'] === 'Abonnement')
+    .map((record) => ({ id: record.id, fields: record.fields }));
+}
+
+/**
+ * Estime la date de fin de facturation d'un service : fin de la dernière période restant à facturer
+ * @param {Object} abonnement - L'abonnement Airtable
+ * @param {Object} service - Le service ({ id, fields })
+ * @returns {string|null} - La date (YYYY-MM-DD), ou null si elle ne peut pas être estimée
+ */
+function estimateServiceEnd(abonnement, service) {
+  const { fields } = service;
+  const periodicity = getPeriodicity(fields['Périodicité'] || abonnement.fields['Périodicité']);
+  if (!periodicity) return null;
+
+  const remaining = parseInt(fields['Occurrences restantes'] || '0', 10) || 0;
+  const lastBilledPeriod = fields['Dernière période facturée'];
+
+  // Premier mois qui suit la dernière période à facturer
+  let nextPeriod;
+  if (lastBilledPeriod && /^\d{4}-\d{2}$/.test(lastBilledPeriod)) {
+    nextPeriod = addMonths(`${lastBilledPeriod}-01`, (remaining + 1) * periodicity.months);
+  } else if (abonnement.fields['Date de début']) {
+    const total = parseInt(fields['Occurrences totales'] || '0', 10) || 0;
+    nextPeriod = addMonths(`${formatDate(abonnement.fields['Date de début']).slice(0, 7)}-01`, total * periodicity.months);
+  } else {
+    return null;
+  }
+
+  return calculateDueDate(nextPeriod, -1);
+}
+
+/**
+ * Reconduit les services d'un abonnement : ajoute une durée de contrat aux occurrences
+ * ("Durée de reconduction" de l'abonnement en nombre de périodes, un an par défaut)
+ * @param {Object} abonnement - L'abonnement Airtable
+ * @param {Object[]} services - Les services épuisés
+ * @returns {Promise<number>} - La durée ajoutée en mois (la plus longue des services)
+ */
+async function renewContract(abonnement, services) {
+  const duration = parseInt(abonnement.fields['Durée de reconduction'], 10);
+  let renewedMonths = 0;
+
+  for (const service of services) {
+    const periodicity = getPeriodicity(service.fields['Périodicité'] || abonnement.fields['Périodicité']);
+    if (!periodicity) {
+      throw new Error(`périodicité inconnue pour le service ${service.id}`);
+    }
+    const occurrences = duration > 0 ? duration : Math.max(1, Math.round(DEFAULT_RENEWAL_MONTHS / periodicity.months));
+    const total = parseInt(service.fields['Occurrences totales'] || '0', 10) || 0;
+
+    // "Mois facturés" est conservé : les occurrences restantes restent égales à total - facturées
+    await airtableRequest(() => getServicesTable().update(service.id, {
+      'Occurrences totales': total + occurrences,
+      'Occurrences restantes': occurrences,
+    }));
+    logger.info(`🔄 Service ${service.id} reconduit pour ${occurrences} période(s)`);
+    renewedMonths = Math.max(renewedMonths, occurrences * periodicity.months);
+  }
+
+  const fields = { 'Reconductions': (parseInt(abonnement.fields['Reconductions'] || '0', 10) || 0) + 1 };
+  // La date de fin est repoussée d'autant, sinon les nouvelles périodes ne seraient pas facturées
+  if (abonnement.fields['Date de fin']) {
+    fields['Date de fin'] = addMonths(abonnement.fields['Date de fin'], renewedMonths);
+  }
+  await airtableRequest(() => getAbonnementsTable().update(abonnement.id, fields));
+
+  return renewedMonths;
+}
+
+/**
+ * Gère la fin de contrat d'un abonnement actif : passage en "Terminé" lorsque tous ses services sont épuisés,
+ * reconduction tacite le cas échéant, et signalement des contrats se terminant dans les prochains jours
+ * (aucune modification en mode plan)
+ * @param {Object} abonnement - L'abonnement Airtable
+ * @param {Object} context - Le contexte d'exécution
+ * @param {Date} context.runDate - La date d'exécution
+ * @param {boolean} context.plan - Vrai en mode plan
+ * @param {Object} context.report - Le rapport d'exécution
+ * @param {number} context.warningDays - Le délai d'alerte avant la fin de contrat, en jours
+ * @returns {Promise<void>}
+ */
+export async function checkContractEnd(abonnement, { runDate = businessToday(), plan = false, report = null, warningDays = 30 } = {}) {
+  const abonnementName = abonnement.fields['Nom de l\'abonnement'] || 'Abonnement sans nom';
+  const tacitRenewal = isTacitRenewal(abonnement);
+
+  try {
+    const services = await fetchContractServices(abonnement);
+    if (!services.length) return;
+
+    const exhausted = services.every((service) => !(parseInt(service.fields['Occurrences restantes'] || '0', 10) > 0));
+
+    if (exhausted) {
+      if (plan) {
+        logger.info(`🧪 Abonnement "${abonnementName}" : contrat épuisé, serait ${tacitRenewal ? 'reconduit' : 'terminé'}`);
+        return;
+      }
+
+      if (tacitRenewal) {
+        const months = await renewContract(abonnement, services);
+        logger.info(`🔄 Abonnement "${abonnementName}" reconduit tacitement (${months} mois)`);
+        reportContract(report, { abonnementId: abonnement.id, abonnementName, action: 'reconduit', reason: `reconduction tacite de ${months} mois` });
+      } else {
+        await airtableRequest(() => getAbonnementsTable().update(abonnement.id, { 'Statut': 'Terminé' }));
+        logger.info(`🏁 Abonnement "${abonnementName}" terminé : plus aucune occurrence à facturer`);
+        reportContract(report, { abonnementId: abonnement.id, abonnementName, action: 'terminé', reason: 'toutes les occurrences ont été facturées' });
+      }
+      return;
+    }
+
+    // Fin de contrat : dernière période facturée du service le plus long, bornée par la date de fin
+    const serviceEnds = services.map((service) => estimateServiceEnd(abonnement, service)).filter(Boolean);
+    const endDates = [
+      ...(serviceEnds.length ? [serviceEnds.sort().pop()] : []),
+      ...(abonnement.fields['Date de fin'] ? [formatDate(abonnement.fields['Date de fin'])] : []),
+    ];
+    if (!endDates.length) return;
+
+    const endDate = endDates.sort()[0];
+    const today = formatDate(runDate);
+    if (endDate >= today && endDate <= calculateDueDate(runDate, warningDays)) {
+      logger.info(`⏳ Abonnement "${abonnementName}" : fin de contrat le ${endDate}${tacitRenewal ? ' (reconduction tacite)' : ''}`);
+      reportContract(report, {
+        abonnementId: abonnement.id,
+        abonnementName,
+        action: 'fin proche',
+        endDate,
+        reason: tacitRenewal ? 'reconduction tacite' : 'sans reconduction',
+      });
+    }
+  } catch (err) {
+    logger.error(`❌ Erreur gestion de fin de contrat (abonnement ${abonnement.id}) :`, err.message);
+    if (!plan) {
+      reportFailed(report, { abonnementId: abonnement.id, abonnementName, reason: `fin de contrat : ${err.message}` });
+    }
+  }
+}
@@ -0,0 +1,138 @@
+// Journalisation structurée : niveaux, sortie JSON ou lisible, masquage des secrets et contexte de corrélation
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Clés dont la valeur n'est jamais journalisée
+const SECRET_KEY_PATTERN = /authorization|token|secret|password|api[-_]?key|cookie/i;
+
+// Variables d'environnement dont la valeur est masquée si elle apparaît dans un message
+// (secrets Sellsy de chaque entité compris : SELLSY_CLIENT_SECRET_<ENTITÉ> et SELLSY_ENTITIES)
+const SECRET_ENV_PATTERN = /^(SELLSY_CLIENT_SECRET(_\w+)?|SELLSY_ENTITIES|AIRTABLE_API_KEY|SMTP_URL|REPORT_WEBHOOK_URL|INVOICE_API_TOKEN)$/;
+
+const REDACTED = '[MASQUÉ]';
+
+// Contexte de corrélation (abonnement, service...) propagé aux appels asynchrones
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Exécute une fonction avec un contexte de corrélation, ajouté à chaque ligne de journal
+ * (les contextes imbriqués se complètent : abonnement puis service)
+ * @param {Object} context - Le contexte ({ abonnementId, serviceId, ... })
+ * @param {Function} fn - La fonction à exécuter
+ * @returns {*} - Le résultat de la fonction
+ */
+export function withLogContext(context, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+}
+
+/**
+ * Retourne l'identifiant de corrélation du contexte courant (abonnement/service)
+ * @param {Object} [context] - Le contexte (par défaut le contexte courant)
+ * @returns {string|null} - L'identifiant, ou null hors contexte
+ */
+export function getCorrelationId(context = contextStorage.getStore()) {
+  if (!context) return null;
+  const ids = [context.abonnementId, [].concat(context.serviceId || []).join('+')].filter(Boolean);
+  return ids.length ? ids.join('/') : null;
+}
+
+/**
+ * Masque les secrets (variables d'environnement sensibles, jetons Bearer) dans un texte
+ * @param {string} text - Le texte
+ * @returns {string} - Le texte masqué
+ */
+function redactString(text) {
+  let result = text.replace(/Bearer\s+[\w.\-~+/=]+/gi, `Bearer ${REDACTED}`);
+  for (const value of getSecretValues()) {
+    result = result.split(value).join(REDACTED);
+  }
+  return result;
+}
+
+/**
+ * Liste les valeurs secrètes à masquer : variables d'environnement sensibles et secrets des entités de SELLSY_ENTITIES
+ * @returns {string[]} - Les valeurs (6 caractères au moins)
+ */
+function getSecretValues() {
+  const values = Object.entries(process.env)
+    .filter(([key]) => SECRET_ENV_PATTERN.test(key))
+    .map(([, value]) => value);
+  try {
+    for (const entry of Object.values(JSON.parse(process.env.SELLSY_ENTITIES || '{}') || {})) {
+      values.push(entry?.clientSecret);
+    }
+  } catch (error) {
+    // JSON invalide : la variable entière reste masquée
+  }
+  return values.filter((value) => typeof value === 'string' && value.length >= 6);
+}
+
+/**
+ * Prépare une valeur pour le journal : erreurs résumées (sans la configuration axios ni ses en-têtes)
+ * et secrets masqués
+ * @param {*} value - La valeur
+ * @param {number} depth - La profondeur courante
+ * @returns {*} - La valeur sûre à journaliser
+ */
+export function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return redact({
+      message: value.message,
+      ...(value.response ? { status: value.response.status, data: value.response.data } : {}),
+      ...(value.code ? { code: value.code } : {}),
+    }, depth);
+  }
+  if (typeof value === 'string') return redactString(value);
+  if (!value || typeof value !== 'object') return value;
+  if (depth > 6) return '[…]';
+
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_KEY_PATTERN.test(key) ? REDACTED : redact(item, depth + 1),
+  ]));
+}
+
+/**
+ * Écrit une ligne de journal si son niveau atteint LOG_LEVEL (info par défaut),
+ * en JSON si LOG_FORMAT=json, sinon en texte lisible
+ * @param {string} level - Le niveau (debug, info, warn, error)
+ * @param {string} message - Le message
+ * @param {*} [data] - Les données associées (objet ou erreur)
+ */
+function write(level, message, data) {
+  const minLevel = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+  if (LEVELS[level] < minLevel) return;
+
+  const context = contextStorage.getStore() || {};
+  const correlationId = getCorrelationId(context);
+  const safeMessage = redactString(String(message));
+  const safeData = data === undefined ? undefined : redact(data);
+  const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+
+  if ((process.env.LOG_FORMAT || '').toLowerCase() === 'json') {
+    stream.write(JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      ...(correlationId ? { correlationId } : {}),
+      ...context,
+      message: safeMessage,
+      ...(safeData !== undefined ? { data: safeData } : {}),
+    }) + '\n');
+    return;
+  }
+
+  const details = safeData === undefined
+    ? ''
+    : ' ' + (typeof safeData === 'object' ? JSON.stringify(safeData, null, 2) : String(safeData));
+  stream.write(`${correlationId ? `[${correlationId}] ` : ''}${safeMessage}${details}\n`);
+}
+
+// Journal partagé par tous les modules
+export const logger = {
+  debug: (message, data) => write('debug', message, data),
+  info: (message, data) => write('info', message, data),
+  warn: (message, data) => write('warn', message, data),
+  error: (message, data) => write('error', message, data),
+};
@@ -0,0 +1,128 @@
+// Mise en forme du plan de facturation (mode simulation, aucune facture créée)
+import fs from 'fs/promises';
+import { logger } from './logger.js';
+
+const CSV_COLUMNS = [
+  'abonnement_id',
+  'abonnement',
+  'client_id',
+  'service_id',
+  'service',
+  'reference',
+  'periode',
+  'en_retard',
+  'statut',
+  'date',
+  'sujet',
+  'prix_ht',
+  'taux_tva',
+  'devise',
+  'quantite',
+];
+
+/**
+ * Convertit une entrée du plan en ligne à plat (une ligne de facture)
+ * @param {Object} item - L'entrée du plan
+ * @returns {Object} - Les valeurs, indexées par colonne CSV
+ */
+function toFlatRow(item) {
+  const row = item.payload?.rows?.[item.rowIndex || 0] || {};
+  return {
+    abonnement_id: item.abonnementId,
+    abonnement: item.abonnementName,
+    client_id: item.clientId,
+    service_id: item.serviceId,
+    service: item.serviceName,
+    reference: item.reference,
+    periode: item.period,
+    en_retard: item.late ? 'oui' : 'non',
+    statut: item.status,
+    date: item.payload?.date || '',
+    sujet: item.payload?.subject || '',
+    prix_ht: row.unit_amount || '',
+    taux_tva: row.tax_rate || '',
+    devise: item.payload?.currency || '',
+    quantite: row.quantity || '',
+  };
+}
+
+/**
+ * Échappe une valeur pour le format CSV
+ * @param {*} value - La valeur à échapper
+ * @returns {string} - La valeur échappée
+ */
+function escapeCsv(value) {
+  const str = value === undefined || value === null ? '' : String(value);
+  return /[",;\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Formate le plan pour une lecture humaine
+ * @param {Object[]} items - Les entrées du plan
+ * @param {string} runDate - La date simulée (YYYY-MM-DD)
+ * @returns {string} - Le plan en texte
+ */
+export function formatPlanText(items, runDate) {
+  const toCreate = items.filter(item => item.status === 'à créer');
+  const lines = [`📋 Plan de facturation du ${runDate} : ${toCreate.length} facture(s) à créer, ${items.length - toCreate.length} ignorée(s)`];
+
+  for (const item of items) {
+    const row = toFlatRow(item);
+    lines.push('');
+    lines.push(`• ${item.abonnementName} (${item.abonnementId}) — client ${item.clientId}`);
+    lines.push(`  Service : ${item.serviceName} (${item.serviceId})`);
+    lines.push(`  Référence : ${item.reference} [${item.status}]`);
+    lines.push(`  Période : ${item.period}${item.late ? ` (en retard, facturation prévue le ${item.billingDate})` : ''}`);
+    if (item.payload) {
+      lines.push(`  Sujet : ${row.sujet}`);
+      lines.push(`  Montant : ${row.quantite} x ${row.prix_ht} ${row.devise} HT, TVA ${row.taux_tva}%`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Formate le plan en JSON (données exactes envoyées à Sellsy)
+ * @param {Object[]} items - Les entrées du plan
+ * @param {string} runDate - La date simulée (YYYY-MM-DD)
+ * @returns {string} - Le plan en JSON
+ */
+export function formatPlanJson(items, runDate) {
+  return JSON.stringify({ date: runDate, invoices: items }, null, 2);
+}
+
+/**
+ * Formate le plan en CSV (une ligne par facture)
+ * @param {Object[]} items - Les entrées du plan
+ * @returns {string} - Le plan en CSV
+ */
+export function formatPlanCsv(items) {
+  const lines = [CSV_COLUMNS.join(';')];
+  for (const item of items) {
+    const row = toFlatRow(item);
+    lines.push(CSV_COLUMNS.map(column => escapeCsv(row[column])).join(';'));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Écrit le plan dans un fichier, au format JSON ou CSV selon l'extension
+ * @param {Object[]} items - Les entrées du plan
+ * @param {string} runDate - La date simulée (YYYY-MM-DD)
+ * @param {string} outputPath - Le chemin du fichier (.json ou .csv)
+ * @returns {Promise<void>}
+ */
+export async function writePlanFile(items, runDate, outputPath) {
+  let content;
+  if (outputPath.endsWith('.json')) {
+    content = formatPlanJson(items, runDate);
+  } else if (outputPath.endsWith('.csv')) {
+    content = formatPlanCsv(items);
+  } else {
+    throw new Error(`Format de sortie non supporté pour ${outputPath} (attendu : .json ou .csv)`);
+  }
+
+  await fs.writeFile(outputPath, content);
+  logger.info(`💾 Plan de facturation enregistré dans ${outputPath}`);
+}
@@ -0,0 +1,261 @@
+// Rapprochement entre les factures Sellsy et les compteurs d'occurrences Airtable
+import dotenv from 'dotenv';
+import { getAbonnementsTable, getServicesTable, getFacturesTable, airtableRequest } from './airtable.js';
+import { getSellsyClient, getEntityKey, invoiceHasReference } from './sellsy.js';
+import { formatDate, businessToday, buildInvoiceReference, parseCliArgs, requireEnv } from './utils.js';
+import { logger, withLogContext } from './logger.js';
+
+dotenv.config();
+
+requireEnv([
+  'AIRTABLE_API_KEY',
+  'AIRTABLE_BASE_ID',
+  'SELLSY_CLIENT_ID',
+  'SELLSY_CLIENT_SECRET',
+]);
+
+const servicesTable = getServicesTable();
+
+// Options de la ligne de commande : [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--fix]
+const cliOptions = parseCliArgs(process.argv.slice(2));
+
+/**
+ * Fonction principale : compare, pour chaque service, les factures Sellsy portant sa référence
+ * avec les compteurs "Mois facturés" et "Occurrences restantes", et les corrige avec --fix
+ */
+async function main() {
+  const fix = Boolean(cliOptions.fix);
+  logger.info(`🔎 Rapprochement des factures Sellsy et des compteurs Airtable${fix ? ' (avec correction)' : ''}...`);
+
+  try {
+    const range = resolveRange(cliOptions);
+    if (cliOptions.from) {
+      logger.warn(`⚠️ Seules les factures émises depuis le ${range.start} sont comptées : les compteurs couvrent toute la durée des services`);
+    }
+
+    if (!await getSellsyClient().checkConnection()) {
+      throw new Error("❌ Connexion à l'API Sellsy impossible.");
+    }
+
+    // Factures annulées par un avoir ayant restitué l'occurrence, et brouillons en attente de validation
+    // (leur occurrence n'est pas encore consommée) : ils ne comptent pas
+    const uncountedInvoiceIds = await fetchUncountedInvoiceIds();
+    const services = await fetchSubscriptionServices();
+    logger.info(`📦 ${services.length} service(s) d'abonnement à rapprocher (factures du ${range.start} au ${range.end})`);
+
+    // Une seule recherche de factures par client, dans le compte Sellsy de l'entité de l'abonnement
+    const serviceEntities = await fetchServiceEntities();
+    const servicesByClient = new Map();
+    for (const service of services) {
+      const clientId = service.fields['ID_Sellsy_abonné'];
+      const entity = serviceEntities.get(service.id) || '';
+      const key = `${getEntityKey(entity)}:${clientId}`;
+      if (!servicesByClient.has(key)) servicesByClient.set(key, { entity, clientId, services: [] });
+      servicesByClient.get(key).services.push(service);
+    }
+
+    const mismatches = [];
+    let errors = 0;
+
+    for (const { entity, clientId, services: clientServices } of servicesByClient.values()) {
+      let invoices;
+      try {
+        invoices = (await getSellsyClient(entity).listInvoicesForClient(clientId, range))
+          .filter((invoice) => invoice.status !== 'cancelled' && !uncountedInvoiceIds.has(String(invoice.id)));
+      } catch (err) {
+        logger.error(`❌ Client ${clientId}${entity ? ` (entité ${entity})` : ''} : factures non récupérées :`, err.message);
+        errors++;
+        continue;
+      }
+
+      // Factures émises hors du générateur (ou avant les références) : non attribuables à un service
+      const unreferenced = invoices.filter((invoice) => !invoiceHasReference(invoice, 'ABO-'));
+
+      for (const service of clientServices) {
+        const mismatch = compareService(service, invoices);
+        if (mismatch) {
+          mismatch.clientId = clientId;
+          mismatch.unreferencedInvoices = unreferenced.length;
+          mismatches.push(mismatch);
+        }
+      }
+    }
+
+    printMismatches(mismatches);
+
+    if (fix) {
+      for (const mismatch of mismatches) {
+        if (mismatch.unreferencedInvoices) {
+          logger.warn(`⚠️ Service ${mismatch.serviceId} non corrigé : le client ${mismatch.clientId} a ${mismatch.unreferencedInvoices} facture(s) sans référence, à vérifier manuellement`);
+          continue;
+        }
+        await withLogContext({ serviceId: mismatch.serviceId }, () => fixCounters(mismatch));
+      }
+    }
+
+    const unresolved = fix ? mismatches.filter((mismatch) => !mismatch.fixed) : mismatches;
+    if (unresolved.length || errors) {
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    logger.error('❌ Erreur principale :', err.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Détermine la période de factures à rapprocher (depuis l'origine jusqu'à aujourd'hui par défaut)
+ * @param {Object} options - Les options de la ligne de commande (from, to)
+ * @returns {{start: string, end: string}} - Les dates (YYYY-MM-DD) de début et de fin
+ */
+function resolveRange(options) {
+  const range = {
+    start: options.from || '2000-01-01',
+    end: options.to || formatDate(businessToday()),
+  };
+
+  for (const date of [range.start, range.end]) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new Error(`Date invalide : ${date} (format attendu : YYYY-MM-DD)`);
+    }
+  }
+  return range;
+}
+
+/**
+ * Récupère les services d'abonnement rattachés à un client Sellsy
+ * @returns {Promise<Object[]>} - Les services ({ id, fields })
+ */
+async function fetchSubscriptionServices() {
+  const records = await airtableRequest(() => servicesTable.select({
+    filterByFormula: `{Catégorie} = 'Abonnement'`,
+  }).all());
+
+  return records
+    .filter((record) => record.fields['ID_Sellsy_abonné'])
+    .map((record) => ({ id: record.id, fields: record.fields }));
+}
+
+/**
+ * Associe chaque service à l'entité de son abonnement (champ "Entité", vide pour le compte par défaut)
+ * @returns {Promise<Map<string, string>>} - L'entité, par ID de service
+ */
+async function fetchServiceEntities() {
+  // Sans filtre : le champ "Entité" est optionnel et peut être absent de la base
+  const records = await airtableRequest(() => getAbonnementsTable().select().all());
+
+  const entities = new Map();
+  for (const record of records) {
+    if (!record.fields['Entité']) continue;
+    for (const serviceId of record.fields['Services liés'] || []) {
+      entities.set(serviceId, String(record.fields['Entité']).trim());
+    }
+  }
+  return entities;
+}
+
+/**
+ * Récupère les factures dont l'occurrence a été restituée par un avoir, et les brouillons
+ * en attente de validation (journal des factures)
+ * @returns {Promise<Set<string>>} - Les IDs des factures Sellsy
+ */
+async function fetchUncountedInvoiceIds() {
+  const records = await airtableRequest(() => getFacturesTable().select({
+    filterByFormula: `OR(AND({Avoir} != '', {Occurrence restituée}), {Statut validation} = 'À valider')`,
+  }).all());
+
+  return new Set(records.map((record) => String(record.fields['ID facture Sellsy'])));
+}
+
+/**
+ * Compare les périodes facturées dans Sellsy pour un service avec ses compteurs Airtable
+ * @param {Object} service - Le service ({ id, fields })
+ * @param {Object[]} invoices - Les factures non annulées du client
+ * @returns {Object|null} - L'écart constaté, ou null si les compteurs sont cohérents
+ */
+function compareService(service, invoices) {
+  const { fields } = service;
+
+  // Références du service : ABO-<ID service>-<AAAA-MM>, une par période facturée
+  const prefix = buildInvoiceReference(service.id, '');
+  const pattern = new RegExp(`${prefix}(\\d{4}-\\d{2})`, 'g');
+  const periods = new Set();
+  const invoiceIds = [];
+
+  for (const invoice of invoices) {
+    if (!invoiceHasReference(invoice, prefix)) continue;
+    invoiceIds.push(invoice.id);
+    for (const match of `${invoice.note || ''} ${invoice.subject || ''}`.matchAll(pattern)) {
+      periods.add(match[1]);
+    }
+  }
+
+  const billed = periods.size;
+  const total = parseInt(fields['Occurrences totales'] || '0', 10);
+  const expected = {
+    billed,
+    remaining: Math.max(0, total - billed),
+    lastPeriod: [...periods].sort().pop() || null,
+  };
+  const actual = {
+    billed: parseInt(fields['Mois facturés'] || '0', 10),
+    remaining: parseInt(fields['Occurrences restantes'] || '0', 10),
+    lastPeriod: fields['Dernière période facturée'] || null,
+  };
+
+  if (actual.billed === expected.billed && actual.remaining === expected.remaining) {
+    return null;
+  }
+
+  return {
+    serviceId: service.id,
+    serviceName: fields['Nom du service'],
+    invoiceIds,
+    expected,
+    actual,
+    fixed: false,
+  };
+}
+
+/**
+ * Affiche les écarts constatés
+ * @param {Object[]} mismatches - Les écarts
+ */
+function printMismatches(mismatches) {
+  if (!mismatches.length) {
+    logger.info('✅ Aucun écart : les compteurs Airtable correspondent aux factures Sellsy');
+    return;
+  }
+
+  logger.warn(`⚠️ ${mismatches.length} écart(s) constaté(s) :`);
+  for (const mismatch of mismatches) {
+    const { expected, actual } = mismatch;
+    logger.warn(`   - ${mismatch.serviceName} (${mismatch.serviceId}, client ${mismatch.clientId}) : ` +
+      `${expected.billed} période(s) facturée(s) dans Sellsy, ${actual.billed} dans Airtable ; ` +
+      `occurrences restantes attendues ${expected.remaining}, Airtable ${actual.remaining}` +
+      (mismatch.unreferencedInvoices ? ` (${mismatch.unreferencedInvoices} facture(s) sans référence chez ce client)` : ''));
+  }
+}
+
+/**
+ * Corrige les compteurs Airtable d'un service à partir des factures Sellsy
+ * @param {Object} mismatch - L'écart à corriger
+ * @returns {Promise<void>}
+ */
+async function fixCounters(mismatch) {
+  const { expected } = mismatch;
+  try {
+    await airtableRequest(() => servicesTable.update(mismatch.serviceId, {
+      'Mois facturés': expected.billed,
+      'Occurrences restantes': expected.remaining,
+      ...(expected.lastPeriod ? { 'Dernière période facturée': expected.lastPeriod } : {}),
+    }));
+    mismatch.fixed = true;
+    logger.info(`🔧 Service ${mismatch.serviceId} corrigé : ${expected.billed} période(s) facturée(s), ${expected.remaining} restante(s)`);
+  } catch (err) {
+    logger.error(`❌ Erreur correction des compteurs (${mismatch.serviceId}) :`, err.message);
+  }
+}
+
+// Exécution du script
+main();
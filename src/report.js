@@ -0,0 +1,225 @@
+// Rapport d'exécution : factures créées, éléments ignorés et échecs, avec leurs motifs
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+import { formatDate } from './utils.js';
+import { logger } from './logger.js';
+
+const DEFAULT_REPORT_DIR = 'reports';
+
+/**
+ * Crée un rapport d'exécution vide
+ * @param {Date} runDate - La date d'exécution
+ * @returns {Object} - Le rapport (created, skipped, failed, contracts)
+ */
+export function createRunReport(runDate) {
+  return {
+    date: formatDate(runDate),
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    created: [],
+    skipped: [],
+    failed: [],
+    contracts: [],
+  };
+}
+
+/**
+ * Ajoute un élément ignoré au rapport
+ * @param {Object} report - Le rapport
+ * @param {Object} item - L'élément ({ abonnementId, serviceId?, period?, reason })
+ */
+export function reportSkipped(report, item) {
+  if (report) report.skipped.push(item);
+}
+
+/**
+ * Ajoute un échec au rapport
+ * @param {Object} report - Le rapport
+ * @param {Object} item - L'échec ({ abonnementId?, serviceIds?, period?, invoiceId?, reason })
+ */
+export function reportFailed(report, item) {
+  if (report) report.failed.push(item);
+}
+
+/**
+ * Ajoute une facture créée au rapport
+ * @param {Object} report - Le rapport
+ * @param {Object} item - La facture ({ abonnementId, serviceIds, period, invoiceId, invoiceNumber, late, backBilled, draft })
+ */
+export function reportCreated(report, item) {
+  if (report) report.created.push(item);
+}
+
+/**
+ * Ajoute un événement de fin de contrat au rapport
+ * @param {Object} report - Le rapport
+ * @param {Object} item - L'événement ({ abonnementId, abonnementName, action, endDate?, reason })
+ */
+export function reportContract(report, item) {
+  if (report) report.contracts.push(item);
+}
+
+/**
+ * Échappe une valeur pour une cellule de tableau Markdown
+ * @param {*} value - La valeur
+ * @returns {string} - La valeur échappée
+ */
+function cell(value) {
+  if (value === undefined || value === null) return '';
+  return String(Array.isArray(value) ? value.join(', ') : value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Formate le rapport en Markdown
+ * @param {Object} report - Le rapport
+ * @returns {string} - Le rapport en Markdown
+ */
+export function formatReportMarkdown(report) {
+  const lines = [
+    `# Rapport de facturation du ${report.date}`,
+    '',
+    `- ✅ Factures créées : ${report.created.length}`,
+    ...(report.created.some((item) => item.draft)
+      ? [`- 📝 Brouillons à valider (npm run approve) : ${report.created.filter((item) => item.draft).length}`]
+      : []),
+    `- ⏭️ Éléments ignorés : ${report.skipped.length}`,
+    `- ❌ Échecs : ${report.failed.length}`,
+  ];
+
+  if (report.failed.length) {
+    lines.push('', '## Échecs', '', '| Abonnement | Services | Période | Facture | Motif |', '|---|---|---|---|---|');
+    for (const item of report.failed) {
+      lines.push(`| ${cell(item.abonnementName || item.abonnementId)} | ${cell(item.serviceIds)} | ${cell(item.period)} | ${cell(item.invoiceId)} | ${cell(item.reason)} |`);
+    }
+  }
+
+  if (report.skipped.length) {
+    lines.push('', '## Éléments ignorés', '', '| Abonnement | Service | Période | Motif |', '|---|---|---|---|');
+    for (const item of report.skipped) {
+      lines.push(`| ${cell(item.abonnementName || item.abonnementId)} | ${cell(item.serviceId)} | ${cell(item.period)} | ${cell(item.reason)} |`);
+    }
+  }
+
+  if (report.contracts.length) {
+    lines.push('', '## Fins de contrat', '', '| Abonnement | Événement | Date de fin | Détail |', '|---|---|---|---|');
+    for (const item of report.contracts) {
+      lines.push(`| ${cell(item.abonnementName || item.abonnementId)} | ${cell(item.action)} | ${cell(item.endDate)} | ${cell(item.reason)} |`);
+    }
+  }
+
+  if (report.created.length) {
+    lines.push('', '## Factures créées', '', '| Abonnement | Services | Période | Facture | Numéro | En retard |', '|---|---|---|---|---|---|');
+    for (const item of report.created) {
+      lines.push(`| ${cell(item.abonnementName || item.abonnementId)} | ${cell(item.serviceIds)} | ${cell(item.period)} | ${cell(item.invoiceId)} | ${item.draft ? 'brouillon' : cell(item.invoiceNumber)} | ${item.late ? (item.backBilled ? 'oui (première facturation)' : 'oui') : 'non'} |`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Écrit le rapport au format JSON et Markdown dans REPORT_DIR (par défaut reports/)
+ * @param {Object} report - Le rapport
+ * @returns {Promise<{json: string, markdown: string}>} - Les chemins des fichiers écrits
+ */
+export async function writeReport(report) {
+  const dir = process.env.REPORT_DIR || DEFAULT_REPORT_DIR;
+  const baseName = path.join(dir, `rapport-facturation-${report.date}`);
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(`${baseName}.json`, JSON.stringify(report, null, 2));
+  await fs.writeFile(`${baseName}.md`, formatReportMarkdown(report));
+
+  logger.info(`💾 Rapport enregistré dans ${baseName}.json et ${baseName}.md`);
+  return { json: `${baseName}.json`, markdown: `${baseName}.md` };
+}
+
+/**
+ * Envoie le rapport au webhook (REPORT_WEBHOOK_URL) et/ou par e-mail (SMTP_URL, REPORT_EMAIL_TO)
+ * REPORT_NOTIFY=failures limite l'envoi aux exécutions comportant des échecs
+ * @param {Object} report - Le rapport
+ * @returns {Promise<void>}
+ */
+export async function sendReport(report) {
+  if (process.env.REPORT_NOTIFY === 'failures' && !report.failed.length) return;
+
+  const markdown = formatReportMarkdown(report);
+  const subject = report.failed.length
+    ? `❌ Facturation du ${report.date} : ${report.failed.length} échec(s)`
+    : `✅ Facturation du ${report.date} : ${report.created.length} facture(s) créée(s)`;
+
+  if (process.env.REPORT_WEBHOOK_URL) {
+    try {
+      // Champ "text" compatible avec les webhooks Slack / Teams / Mattermost
+      await axios.post(process.env.REPORT_WEBHOOK_URL, { text: `${subject}\n\n${markdown}`, report });
+      logger.info('📨 Rapport envoyé au webhook');
+    } catch (error) {
+      logger.error('❌ Erreur lors de l\'envoi du rapport au webhook:', error.message);
+    }
+  }
+
+  if (process.env.SMTP_URL && process.env.REPORT_EMAIL_TO) {
+    try {
+      const transport = nodemailer.createTransport(process.env.SMTP_URL);
+      await transport.sendMail({
+        from: process.env.REPORT_EMAIL_FROM || process.env.REPORT_EMAIL_TO,
+        to: process.env.REPORT_EMAIL_TO,
+        subject,
+        text: markdown,
+        attachments: [{ filename: `rapport-facturation-${report.date}.json`, content: JSON.stringify(report, null, 2) }],
+      });
+      logger.info(`📨 Rapport envoyé par e-mail à ${process.env.REPORT_EMAIL_TO}`);
+    } catch (error) {
+      logger.error('❌ Erreur lors de l\'envoi du rapport par e-mail:', error.message);
+    }
+  }
+}
+
+/**
+ * Affiche le résumé du rapport dans la console
+ * @param {Object} report - Le rapport
+ */
+export function printReportSummary(report) {
+  logger.info(`✅ ${report.created.length} facture(s) générée(s) avec succès.`);
+
+  const drafts = report.created.filter(item => item.draft);
+  if (drafts.length) {
+    logger.info(`📝 ${drafts.length} facture(s) en brouillon, à relire puis valider avec npm run approve`);
+  }
+
+  const late = report.created.filter(item => item.late);
+  if (late.length) {
+    logger.info(`⏰ ${late.length} facture(s) émise(s) en retard (rattrapage) :`);
+    for (const item of late) {
+      logger.info(`   - ${cell(item.serviceNames)} (${cell(item.serviceIds)}) : période ${item.period}, prévue le ${item.billingDate}, facture ${item.invoiceId}`);
+    }
+  }
+
+  const backBilled = report.created.filter(item => item.backBilled);
+  if (backBilled.length) {
+    logger.info(`⏪ ${backBilled.length} facture(s) de première facturation, rattrapée(s) depuis la date de début de l'abonnement`);
+  }
+
+  if (report.skipped.length) {
+    logger.info(`⏭️ ${report.skipped.length} élément(s) ignoré(s) :`);
+    for (const item of report.skipped) {
+      logger.info(`   - ${item.abonnementId}${item.serviceId ? ` / ${item.serviceId}` : ''}${item.period ? ` (${item.period})` : ''} : ${item.reason}`);
+    }
+  }
+
+  if (report.contracts.length) {
+    logger.info(`📅 ${report.contracts.length} fin(s) de contrat :`);
+    for (const item of report.contracts) {
+      logger.info(`   - ${item.abonnementName || item.abonnementId} : ${item.action}${item.endDate ? ` le ${item.endDate}` : ''} (${item.reason})`);
+    }
+  }
+
+  if (report.failed.length) {
+    logger.error(`❌ ${report.failed.length} échec(s) :`);
+    for (const item of report.failed) {
+      logger.error(`   - ${item.abonnementId || 'exécution'}${item.period ? ` (${item.period})` : ''} : ${item.reason}`);
+    }
+  }
+}
@@ -1,309 +1,899 @@
 // Module d'intégration avec l'API Sellsy V2
 import axios from 'axios';
+import { calculateDueDate, adjustToBusinessDay, businessToday, formatDate, getTaxRegime } from './utils.js';
+import { getInvoiceTemplate, renderTemplate, buildTemplateValues, formatMonthRange } from './templates.js';
+import { createRateLimiter, computeBackoffDelay, parseRetryAfter, sleep } from './throttle.js';
+import { logger } from './logger.js';
 
 // URL de base pour l'API Sellsy V2
 const SELLSY_API_URL = 'https://api.sellsy.com/v2';
 const SELLSY_OAUTH_URL = 'https://login.sellsy.com/oauth2/access-tokens';
 
-// Stockage du token d'accès
-let accessToken = null;
-let tokenExpiration = null;
+// Clients Sellsy par entité (clé de l'entité, vide pour le compte par défaut), créés au premier appel
+const clients = new Map();
 
 /**
- * Obtient un token d'accès pour l'API Sellsy
+ * Indique si une erreur d'API justifie une nouvelle tentative
+ * @param {Error} error - L'erreur axios
+ * @returns {boolean} - Vrai pour les erreurs réseau, 401 (token renouvelé), 408, 429 et 5xx
+ */
+function isRetryableError(error) {
+  const status = error.response?.status;
+  if (!status) return true;
+  return status === 401 || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Calcule le délai avant une nouvelle tentative, en respectant l'en-tête Retry-After s'il est présent
+ * @param {Error} error - L'erreur axios
  * @param {number} retryCount - Le nombre de tentatives déjà effectuées
- * @returns {Promise<string>} - Le token d'accès
+ * @returns {number} - Le délai en millisecondes
+ */
+function getRetryDelay(error, retryCount) {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  return retryAfter ?? computeBackoffDelay(retryCount);
+}
+
+/**
+ * Client de l'API Sellsy d'un compte (une entité juridique) : identifiants, token d'accès,
+ * URL de base, limiteur de débit et caches de l'exécution propres au compte
  */
-async function getAccessToken(retryCount = 0) {
-  if (accessToken && tokenExpiration && tokenExpiration > Date.now()) {
-    return accessToken;
+export class SellsyClient {
+  /**
+   * @param {Object} options - La configuration du compte Sellsy
+   * @param {string} [options.entity] - Le nom de l'entité (vide pour le compte par défaut)
+   * @param {string} options.clientId - L'identifiant client OAuth
+   * @param {string} options.clientSecret - Le secret client OAuth
+   * @param {string} [options.apiUrl] - L'URL de base de l'API (par défaut celle de l'API Sellsy V2)
+   * @param {number} [options.rateLimit] - Le nombre de requêtes par seconde (par défaut 5)
+   * @throws {Error} - Si les identifiants ne sont pas configurés
+   */
+  constructor({ entity = null, clientId, clientSecret, apiUrl = SELLSY_API_URL, rateLimit = 5 }) {
+    if (!clientId || !clientSecret) {
+      throw new Error(`Les identifiants Sellsy ne sont pas configurés${entity ? ` pour l'entité "${entity}"` : ''}.`);
+    }
+    this.entity = entity;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.apiUrl = apiUrl.replace(/\/+$/, '');
+
+    // Stockage du token d'accès (et de la demande en cours, partagée entre requêtes simultanées)
+    this.accessToken = null;
+    this.tokenExpiration = null;
+    this.pendingToken = null;
+
+    // Limiteur de débit des requêtes du compte
+    this.limiter = createRateLimiter(rateLimit);
+
+    // Cache des types de clients Sellsy (company / individual) pour la durée de l'exécution
+    this.clientTypeCache = new Map();
+
+    // Taxes configurées dans Sellsy (chargées une fois par exécution)
+    this.pendingTaxes = null;
   }
-  const MAX_RETRIES = 3;
-  try {
-    console.log("🔄 Obtention d'un nouveau token d'accès Sellsy...");
-    const requestData = {
-      grant_type: 'client_credentials',
-      client_id: process.env.SELLSY_CLIENT_ID,
-      client_secret: process.env.SELLSY_CLIENT_SECRET
-    };
-    const response = await axios.post(SELLSY_OAUTH_URL, requestData, {
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
-    if (!response.data || !response.data.access_token) {
-      throw new Error("Token non reçu dans la réponse de l'API Sellsy");
+
+  /**
+   * Vide les caches du compte (taxes, types de clients), relus dans Sellsy au prochain accès ;
+   * le token d'accès est conservé
+   */
+  clearCaches() {
+    this.clientTypeCache.clear();
+    this.pendingTaxes = null;
+  }
+
+  /**
+   * Libellé du compte pour les journaux
+   * @returns {string} - "Sellsy" ou "Sellsy (entité)"
+   */
+  get label() {
+    return this.entity ? `Sellsy (${this.entity})` : 'Sellsy';
+  }
+
+  /**
+   * Obtient un token d'accès pour l'API Sellsy
+   * @returns {Promise<string>} - Le token d'accès
+   */
+  async getAccessToken() {
+    if (this.accessToken && this.tokenExpiration && this.tokenExpiration > Date.now()) {
+      return this.accessToken;
     }
-    console.log("✅ Token d'accès Sellsy obtenu avec succès");
-    accessToken = response.data.access_token;
-    tokenExpiration = Date.now() + (response.data.expires_in * 1000) - 300000; // 5 minutes de marge
-    return accessToken;
-  } catch (error) {
-    console.error(`❌ Erreur lors de l'obtention du token Sellsy (tentative ${retryCount + 1}/${MAX_RETRIES}):`, error.message);
-    if (error.response) {
-      console.error('Détails de l\'erreur:', {
-        status: error.response.status,
-        statusText: error.response.statusText,
-        data: error.response.data
+    if (!this.pendingToken) {
+      this.pendingToken = this.requestAccessToken().finally(() => {
+        this.pendingToken = null;
       });
     }
-    if (retryCount < MAX_RETRIES - 1) {
-      await new Promise(resolve => setTimeout(resolve, 3000));
-      return getAccessToken(retryCount + 1);
+    return this.pendingToken;
+  }
+
+  /**
+   * Demande un nouveau token d'accès à l'API Sellsy
+   * @param {number} retryCount - Le nombre de tentatives déjà effectuées
+   * @returns {Promise<string>} - Le token d'accès
+   */
+  async requestAccessToken(retryCount = 0) {
+    const MAX_RETRIES = 3;
+    try {
+      logger.info(`🔄 Obtention d'un nouveau token d'accès ${this.label}...`);
+      const requestData = {
+        grant_type: 'client_credentials',
+        client_id: this.clientId,
+        client_secret: this.clientSecret
+      };
+      const response = await axios.post(SELLSY_OAUTH_URL, requestData, {
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+      if (!response.data || !response.data.access_token) {
+        throw new Error("Token non reçu dans la réponse de l'API Sellsy");
+      }
+      logger.info(`✅ Token d'accès ${this.label} obtenu avec succès`);
+      this.accessToken = response.data.access_token;
+      this.tokenExpiration = Date.now() + (response.data.expires_in * 1000) - 300000; // 5 minutes de marge
+      return this.accessToken;
+    } catch (error) {
+      logger.error(`❌ Erreur lors de l'obtention du token ${this.label} (tentative ${retryCount + 1}/${MAX_RETRIES}):`, error.message);
+      if (error.response) {
+        logger.error('Détails de l\'erreur:', {
+          status: error.response.status,
+          statusText: error.response.statusText,
+          data: error.response.data
+        });
+      }
+      if (retryCount < MAX_RETRIES - 1) {
+        await sleep(getRetryDelay(error, retryCount));
+        return this.requestAccessToken(retryCount + 1);
+      }
+      throw new Error(`Impossible d'obtenir un token d'accès ${this.label} après plusieurs tentatives.`);
     }
-    throw new Error("Impossible d'obtenir un token d'accès Sellsy après plusieurs tentatives.");
   }
-}
 
-/**
- * Vérifie que les identifiants Sellsy sont configurés
- * @throws {Error} - Si les identifiants ne sont pas configurés
- */
-function checkSellsyCredentials() {
-  if (!process.env.SELLSY_CLIENT_ID || !process.env.SELLSY_CLIENT_SECRET) {
-    throw new Error('Les identifiants Sellsy ne sont pas configurés.');
+  /**
+   * Effectue une requête à l'API Sellsy
+   * @param {string} method - La méthode HTTP (get, post, etc.)
+   * @param {string} endpoint - L'endpoint API (sans le préfixe d'URL)
+   * @param {Object|null} data - Les données à envoyer (pour POST, PUT, etc.)
+   * @param {number} retryCount - Le nombre de tentatives déjà effectuées
+   * @returns {Promise<Object>} - La réponse de l'API
+   */
+  async request(method, endpoint, data = null, retryCount = 0) {
+    const MAX_RETRIES = 5;
+    try {
+      const token = await this.getAccessToken();
+      const config = {
+        method,
+        url: `${this.apiUrl}${endpoint}`,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      };
+      if (data) config.data = data;
+
+      logger.debug(`🔄 Requête ${method.toUpperCase()} à ${endpoint}...`);
+      const response = await this.limiter(() => axios(config));
+      return response.data;
+    } catch (error) {
+      logger.error(`❌ Erreur API ${this.label} (${method} ${endpoint}) - tentative ${retryCount + 1}/${MAX_RETRIES}:`, error.message);
+      if (error.response) {
+        logger.error("Détails de l'erreur:", error.response.data);
+        if (error.response.status === 400 && data) {
+          logger.debug("Corps de la requête erronée:", data);
+        }
+      }
+      // Erreur d'authentification : forcer le renouvellement du token
+      if (error.response?.status === 401) {
+        this.accessToken = null;
+        this.tokenExpiration = null;
+      }
+      // Ne jamais rejouer ici une création ou une validation de facture ou d'avoir : la requête a pu aboutir
+      // côté Sellsy malgré l'erreur (timeout, 5xx), createDocument et validateDocument vérifient le document
+      // avant toute nouvelle tentative
+      if (method === 'post' && (['/invoices', '/credit-notes'].includes(endpoint) ||
+        /^\/(invoices|credit-notes)\/[^/]+\/validate$/.test(endpoint))) {
+        throw error;
+      }
+      // Réessayer uniquement les erreurs temporaires, avec backoff exponentiel (ou délai Retry-After)
+      if (retryCount < MAX_RETRIES - 1 && isRetryableError(error)) {
+        const delay = getRetryDelay(error, retryCount);
+        logger.warn(`⏳ Nouvelle tentative dans ${(delay / 1000).toFixed(1)}s (${method.toUpperCase()} ${endpoint})`);
+        await sleep(delay);
+        return this.request(method, endpoint, data, retryCount + 1);
+      }
+      throw error;
+    }
   }
-}
 
-/**
- * Effectue une requête à l'API Sellsy
- * @param {string} method - La méthode HTTP (get, post, etc.)
- * @param {string} endpoint - L'endpoint API (sans le préfixe d'URL)
- * @param {Object|null} data - Les données à envoyer (pour POST, PUT, etc.)
- * @param {number} retryCount - Le nombre de tentatives déjà effectuées
- * @returns {Promise<Object>} - La réponse de l'API
- */
-async function sellsyRequest(method, endpoint, data = null, retryCount = 0) {
-  checkSellsyCredentials();
-  const MAX_RETRIES = 3;
-  try {
-    const token = await getAccessToken();
-    const config = {
-      method,
-      url: `${SELLSY_API_URL}${endpoint}`,
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
+  /**
+   * Crée un document (facture, avoir) sans jamais rejouer la création à l'aveugle : après une erreur
+   * temporaire, le document est d'abord recherché dans Sellsy, puis la création est retentée s'il est absent
+   * @param {string} endpoint - L'endpoint de création (/invoices, /credit-notes)
+   * @param {Object} data - Les données du document
+   * @param {Function|null} findExisting - Recherche du document déjà créé (null : aucune nouvelle tentative)
+   * @param {number} retryCount - Le nombre de tentatives déjà effectuées
+   * @returns {Promise<Object>} - Le document créé (ou retrouvé)
+   */
+  async createDocument(endpoint, data, findExisting, retryCount = 0) {
+    const MAX_RETRIES = 5;
+    try {
+      return await this.request('post', endpoint, data);
+    } catch (error) {
+      if (!findExisting || !isRetryableError(error)) throw error;
+
+      // Quel que soit le statut de l'erreur, le document a pu être créé
+      logger.warn(`⚠️ Création sans réponse valide (${error.response?.status || error.message}), vérification de l'existence du document...`);
+      const existing = await findExisting();
+      if (existing) return existing;
+
+      if (retryCount >= MAX_RETRIES - 1) throw error;
+      const delay = getRetryDelay(error, retryCount);
+      logger.warn(`⏳ Document absent de Sellsy, nouvelle tentative dans ${(delay / 1000).toFixed(1)}s (POST ${endpoint})`);
+      await sleep(delay);
+      return this.createDocument(endpoint, data, findExisting, retryCount + 1);
+    }
+  }
+
+  /**
+   * Valide un document brouillon (facture, avoir) sans jamais rejouer la validation à l'aveugle : après une
+   * erreur temporaire, le statut du document est relu, et un document déjà validé est considéré comme tel
+   * @param {string} endpoint - L'endpoint du document (/invoices/{id}, /credit-notes/{id})
+   * @param {string} date - La date du document (YYYY-MM-DD)
+   * @param {number} retryCount - Le nombre de tentatives déjà effectuées
+   * @returns {Promise<Object>} - Le document validé (réponse de la validation ou document relu)
+   */
+  async validateDocument(endpoint, date, retryCount = 0) {
+    const MAX_RETRIES = 5;
+    try {
+      return await this.request('post', `${endpoint}/validate`, { date });
+    } catch (error) {
+      if (!isRetryableError(error)) throw error;
+
+      // La première validation a pu aboutir malgré l'erreur : la rejouer échouerait sur un document déjà validé
+      logger.warn(`⚠️ Validation sans réponse valide (${error.response?.status || error.message}), vérification du statut du document...`);
+      const document = await this.request('get', endpoint);
+      if (document?.status && document.status !== 'draft') return document;
+
+      if (retryCount >= MAX_RETRIES - 1) throw error;
+      const delay = getRetryDelay(error, retryCount);
+      logger.warn(`⏳ Document toujours en brouillon, nouvelle tentative dans ${(delay / 1000).toFixed(1)}s (POST ${endpoint}/validate)`);
+      await sleep(delay);
+      return this.validateDocument(endpoint, date, retryCount + 1);
+    }
+  }
+
+  /**
+   * Recherche une méthode de paiement par son nom
+   * @param {string} nameToFind - Le nom de la méthode de paiement à chercher
+   * @returns {Promise<string>} - L'ID de la méthode de paiement
+   */
+  async findPaymentMethodByName(nameToFind) {
+    try {
+      logger.info(`🔍 Recherche de la méthode de paiement "${nameToFind}"...`);
+      const response = await this.request('get', '/payments/methods');
+      
+      if (!response || !response.data) {
+        throw new Error("Aucune méthode de paiement trouvée dans la réponse");
       }
-    };
-    if (data) config.data = data;
-    
-    console.log(`🔄 Requête ${method.toUpperCase()} à ${endpoint}...`);
-    const response = await axios(config);
-    return response.data;
-  } catch (error) {
-    console.error(`❌ Erreur API Sellsy (${method} ${endpoint}) - tentative ${retryCount + 1}/${MAX_RETRIES}:`, error.message);
-    if (error.response) {
-      console.error("Détails de l'erreur:", error.response.data);
-      if (error.response.status === 400 && data) {
-        console.error("Corps de la requête erronée:", JSON.stringify(data, null, 2));
+      
+      const method = response.data.find(m => 
+        m.label && m.label.toLowerCase().includes(nameToFind.toLowerCase())
+      );
+      
+      if (!method) {
+        logger.warn(`⚠️ Méthode de paiement "${nameToFind}" non trouvée. Méthodes disponibles:`, 
+          response.data.map(m => m.label).join(', '));
+        throw new Error(`Méthode de paiement "${nameToFind}" non trouvée.`);
       }
+      
+      logger.info(`✅ Méthode de paiement trouvée: ${method.label} (ID: ${method.id})`);
+      return method.id;
+    } catch (error) {
+      logger.error("❌ Erreur lors de la recherche de méthode de paiement:", error);
+      throw error;
     }
-    // Réessayer en cas d'erreur d'authentification
-    if (error.response?.status === 401) {
-      accessToken = null;
-      tokenExpiration = null;
-      if (retryCount < MAX_RETRIES - 1) {
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        return sellsyRequest(method, endpoint, data, retryCount + 1);
+  }
+
+  /**
+   * Recherche la taxe Sellsy correspondant à un taux de TVA
+   * @param {number|string} rate - Le taux de TVA (ex. 20, 5.5, 0)
+   * @returns {Promise<Object>} - La taxe Sellsy ({ id, rate, label })
+   * @throws {Error} - Si aucune taxe active n'est configurée dans Sellsy pour ce taux
+   */
+  async findTaxByRate(rate) {
+    const numericRate = parseFloat(rate);
+    if (isNaN(numericRate)) {
+      throw new Error(`Taux de TVA invalide : ${rate}`);
+    }
+
+    if (!this.pendingTaxes) {
+      this.pendingTaxes = this.request('get', '/taxes?limit=100').then((response) => response?.data || []);
+      // Nouvel essai à la prochaine demande si le chargement échoue
+      this.pendingTaxes.catch(() => {
+        this.pendingTaxes = null;
+      });
+    }
+    const taxes = (await this.pendingTaxes).filter((tax) => tax.is_active !== false);
+
+    const tax = taxes.find((t) => Math.abs(parseFloat(t.rate) - numericRate) < 0.001);
+    if (!tax) {
+      throw new Error(`Taux de TVA ${numericRate} % non configuré dans Sellsy (taux disponibles : ${taxes.map((t) => `${parseFloat(t.rate)} %`).join(', ') || 'aucun'})`);
+    }
+    return tax;
+  }
+
+  /**
+   * Vérifie une ligne de facture avant sa création : prix, article du catalogue Sellsy et taux de TVA
+   * @param {Object} line - La ligne ({ serviceId, serviceName, price, taxRate })
+   * @param {string} [taxRegime] - Le régime de TVA de la facture (Normal, Exonéré ou Autoliquidation)
+   * @returns {Promise<void>}
+   * @throws {Error} - Si la ligne ne peut pas être facturée
+   */
+  async checkInvoiceLine(line, taxRegime) {
+    if (!line.serviceName || !line.price || isNaN(parseFloat(line.price))) {
+      throw new Error(`Prix HT invalide : ${line.price}`);
+    }
+    if (line.serviceId) {
+      if (isNaN(parseInt(line.serviceId))) {
+        throw new Error(`ID Sellsy invalide : ${line.serviceId}`);
+      }
+      try {
+        await this.getServiceDetails(line.serviceId);
+      } catch (error) {
+        throw new Error(`article ${line.serviceId} introuvable dans Sellsy : ${error.message}`);
       }
     }
-    // Réessayer pour les autres erreurs (sauf 400 Bad Request)
-    if (retryCount < MAX_RETRIES - 1 && error.response?.status !== 400) {
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      return sellsyRequest(method, endpoint, data, retryCount + 1);
+    await this.findTaxByRate(getTaxRegime(taxRegime)?.zeroRated ? 0 : (line.taxRate ?? 20));
+  }
+
+  /**
+   * Récupère les détails d'un service depuis Sellsy
+   * @param {string|number} serviceId - L'ID du service à récupérer
+   * @returns {Promise<Object>} - Les détails du service
+   */
+  async getServiceDetails(serviceId) {
+    try {
+      logger.info(`🔍 Récupération des détails du service ID ${serviceId}...`);
+      const response = await this.request('get', `/services/${serviceId}`);
+      
+      if (!response) {
+        throw new Error(`Aucune information trouvée pour le service ID ${serviceId}`);
+      }
+      
+      logger.info(`✅ Détails du service ID ${serviceId} récupérés`);
+      return response;
+    } catch (error) {
+      logger.error(`❌ Erreur lors de la récupération des détails du service ${serviceId}:`, error.message);
+      throw error;
     }
-    throw error;
   }
-}
 
-/**
- * Recherche une méthode de paiement par son nom
- * @param {string} nameToFind - Le nom de la méthode de paiement à chercher
- * @returns {Promise<string>} - L'ID de la méthode de paiement
- */
-export async function findPaymentMethodByName(nameToFind) {
-  try {
-    console.log(`🔍 Recherche de la méthode de paiement "${nameToFind}"...`);
-    const response = await sellsyRequest('get', '/payments/methods');
-    
-    if (!response || !response.data) {
-      throw new Error("Aucune méthode de paiement trouvée dans la réponse");
-    }
-    
-    const method = response.data.find(m => 
-      m.label && m.label.toLowerCase().includes(nameToFind.toLowerCase())
-    );
-    
-    if (!method) {
-      console.warn(`⚠️ Méthode de paiement "${nameToFind}" non trouvée. Méthodes disponibles:`, 
-        response.data.map(m => m.label).join(', '));
-      throw new Error(`Méthode de paiement "${nameToFind}" non trouvée.`);
-    }
-    
-    console.log(`✅ Méthode de paiement trouvée: ${method.label} (ID: ${method.id})`);
-    return method.id;
-  } catch (error) {
-    console.error("❌ Erreur lors de la recherche de méthode de paiement:", error);
-    throw error;
+  /**
+   * Détermine si un ID client Sellsy correspond à une entreprise ou à un particulier
+   * @param {string|number} clientId - L'ID client Sellsy
+   * @returns {Promise<string>} - 'company' ou 'individual'
+   * @throws {Error} - Si l'ID ne correspond à aucun des deux
+   */
+  async getClientType(clientId) {
+    const numericClientId = parseInt(clientId);
+    if (this.clientTypeCache.has(numericClientId)) {
+      return this.clientTypeCache.get(numericClientId);
+    }
+
+    logger.info(`🔍 Recherche du type du client ID ${numericClientId}...`);
+    for (const [type, endpoint] of [['company', '/companies'], ['individual', '/individuals']]) {
+      try {
+        await this.request('get', `${endpoint}/${numericClientId}`);
+        logger.info(`✅ Client ID ${numericClientId} : ${type === 'company' ? 'entreprise' : 'particulier'}`);
+        this.clientTypeCache.set(numericClientId, type);
+        return type;
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+      }
+    }
+
+    throw new Error(`Client Sellsy ${clientId} introuvable : l'ID ne correspond ni à une entreprise ni à un particulier`);
   }
-}
 
-/**
- * Récupère les détails d'un service depuis Sellsy
- * @param {string|number} serviceId - L'ID du service à récupérer
- * @returns {Promise<Object>} - Les détails du service
- */
-export async function getServiceDetails(serviceId) {
-  try {
-    console.log(`🔍 Récupération des détails du service ID ${serviceId}...`);
-    const response = await sellsyRequest('get', `/services/${serviceId}`);
-    
-    if (!response) {
-      throw new Error(`Aucune information trouvée pour le service ID ${serviceId}`);
-    }
-    
-    console.log(`✅ Détails du service ID ${serviceId} récupérés`);
-    return response;
-  } catch (error) {
-    console.error(`❌ Erreur lors de la récupération des détails du service ${serviceId}:`, error.message);
-    throw error;
+  /**
+   * Liste les factures d'un client sur une période (toutes les pages de résultats)
+   * @param {string|number} clientId - L'ID client Sellsy
+   * @param {Object} range - Les dates de facture à couvrir
+   * @param {string} range.start - Date (YYYY-MM-DD) de début
+   * @param {string} [range.end] - Date (YYYY-MM-DD) de fin
+   * @param {string} [clientType] - 'company' ou 'individual' (recherché dans Sellsy si absent)
+   * @returns {Promise<Object[]>} - Les factures du client
+   */
+  async listInvoicesForClient(clientId, { start, end }, clientType) {
+    const PAGE_SIZE = 100;
+    const type = clientType || await this.getClientType(clientId);
+    const invoices = [];
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const response = await this.request('post', `/invoices/search?limit=${PAGE_SIZE}&offset=${offset}`, {
+        filters: {
+          related_objects: [{ type, id: parseInt(clientId) }],
+          date: { start, ...(end ? { end } : {}) }
+        }
+      });
+
+      const page = response?.data || [];
+      invoices.push(...page);
+
+      const total = response?.pagination?.total;
+      if (page.length < PAGE_SIZE || (total !== undefined && invoices.length >= total)) break;
+    }
+
+    return invoices;
   }
-}
 
-/**
- * Génère une facture dans Sellsy avec configuration GoCardless
- * @param {Object} options - Les options pour la création de facture
- * @param {string|number} options.clientId - L'ID client Sellsy
- * @param {string|number} options.serviceId - L'ID service Sellsy
- * @param {string} options.serviceName - Le nom du service
- * @param {number|string} options.price - Le prix HT
- * @param {number|string} options.taxRate - Le taux de TVA (par défaut 20)
- * @param {string} options.paymentMethod - La méthode de paiement (par défaut 'prélèvement')
- * @returns {Promise<Object>} - La facture créée
- */
-export async function generateInvoice({ clientId, serviceId, serviceName, price, taxRate = 20, paymentMethod = 'prélèvement' }) {
-  try {
-    console.log(`🔄 Génération d'une facture pour le client ID ${clientId}, service: ${serviceName}`);
-    
-    if (!clientId || !serviceName || !price) {
-      throw new Error(`Paramètres manquants: clientId=${clientId}, serviceName=${serviceName}, price=${price}`);
+  /**
+   * Recherche une facture existante d'un client portant une référence d'idempotence
+   * @param {string|number} clientId - L'ID client Sellsy
+   * @param {string} reference - La référence de la facture (service + période)
+   * @param {string} sinceDate - Date (YYYY-MM-DD) à partir de laquelle chercher
+   * @param {string} [clientType] - 'company' ou 'individual' (recherché dans Sellsy si absent)
+   * @returns {Promise<Object|null>} - La facture trouvée ou null
+   */
+  async findInvoiceByReference(clientId, reference, sinceDate, clientType) {
+    try {
+      logger.info(`🔍 Recherche d'une facture existante "${reference}" pour le client ID ${clientId}...`);
+      const invoices = await this.listInvoicesForClient(clientId, { start: sinceDate }, clientType);
+      const invoice = invoices.find(inv => inv.status !== 'cancelled' && invoiceHasReference(inv, reference));
+
+      if (invoice) {
+        logger.info(`✅ Facture existante trouvée pour "${reference}" (ID: ${invoice.id})`);
+      }
+      return invoice || null;
+    } catch (error) {
+      logger.error(`❌ Erreur lors de la recherche de facture pour "${reference}":`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Construit les données de facture envoyées à Sellsy, sans rien créer
+   * @param {Object} options - Les options pour la création de facture
+   * @param {string|number} options.clientId - L'ID client Sellsy
+   * @param {string} [options.clientType] - 'company' ou 'individual' (recherché dans Sellsy si absent)
+   * @param {string|number} options.serviceId - L'ID service Sellsy
+   * @param {string} options.serviceName - Le nom du service (ou de l'abonnement pour une facture groupée)
+   * @param {number|string} options.price - Le prix HT
+   * @param {number|string} options.taxRate - Le taux de TVA (par défaut 20)
+   * @param {string} [options.description] - Le libellé de la ligne, à la place de celui du modèle
+   * @param {boolean} [options.prorated] - Vrai si le prix de la ligne est calculé au prorata des jours couverts
+   * @param {number} [options.periodMonths] - La durée de la période en mois (par défaut 1)
+   * @param {Object[]} [options.lines] - Facture groupée ou avec consommations : une ligne par service ({ serviceId, serviceName, price, taxRate, description, prorated }),
+   *   puis une ligne par consommation ({ serviceId (article du catalogue, facultatif), serviceName, price (prix unitaire), quantity, taxRate, usagePeriod })
+   * @param {Object} [options.coveredPeriod] - Les dates couvertes par la facture ({ start, end }, YYYY-MM-DD)
+   * @param {string} options.paymentMethod - La méthode de paiement (par défaut 'prélèvement')
+   * @param {string} [options.paymentModule] - Le module de paiement : module de prélèvement (par défaut gocardless) ou module de paiement en ligne (ex. stripe)
+   * @param {number} [options.paymentTermDays] - Le délai de paiement en jours à compter de la date de facture (par défaut 0)
+   * @param {string} [options.businessDayRule] - Décalage de l'échéance (date de prélèvement) tombant un week-end ou un jour férié : suivant ou precedent
+   * @param {string} [options.currency] - Le code ISO de la devise (par défaut EUR)
+   * @param {string} [options.taxRegime] - Le régime de TVA (Normal, Exonéré ou Autoliquidation, par défaut Normal)
+   * @param {string} [options.taxMention] - La mention de TVA, à la place de celle du régime
+   * @param {string|string[]} [options.reference] - La ou les références d'idempotence, reportées dans la note de la facture
+   * @param {string} [options.date] - La date de facture (YYYY-MM-DD, par défaut aujourd'hui)
+   * @param {Object} [options.template] - Le modèle des textes de la facture (getInvoiceTemplate, par défaut INVOICE_TEMPLATE)
+   * @param {string} [options.abonnementName] - Le nom de l'abonnement, pour les modèles
+   * @param {string} [options.customerReference] - La référence du client, pour les modèles
+   * @returns {Promise<Object>} - Les données de la facture (payload POST /invoices)
+   */
+  async buildInvoicePayload({ clientId, clientType, serviceId, serviceName, price, taxRate = 20, description, prorated = false, periodMonths = 1, lines, coveredPeriod, paymentMethod = 'prélèvement', paymentModule, paymentTermDays = 0, businessDayRule, currency = 'EUR', taxRegime, taxMention, reference, date, template = getInvoiceTemplate(), abonnementName, customerReference }) {
+    const invoiceLines = lines || [{ serviceId, serviceName, price, taxRate, description, prorated }];
+
+    if (!clientId || !serviceName || !invoiceLines.length) {
+      throw new Error(`Paramètres manquants: clientId=${clientId}, serviceName=${serviceName}, lignes=${invoiceLines.length}`);
+    }
+    for (const line of invoiceLines) {
+      if (!line.serviceName || !line.price) {
+        throw new Error(`Paramètres manquants: serviceName=${line.serviceName}, price=${line.price}`);
+      }
+    }
+
+    const regime = getTaxRegime(taxRegime);
+    if (!regime) {
+      throw new Error(`Régime de TVA inconnu : ${taxRegime} (attendu : Normal, Exonéré ou Autoliquidation)`);
+    }
+    const termDays = parseInt(paymentTermDays, 10);
+    if (isNaN(termDays) || termDays < 0) {
+      throw new Error(`Délai de paiement invalide : ${paymentTermDays} (nombre de jours attendu)`);
     }
-    
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      throw new Error(`Devise invalide : ${currency} (code ISO attendu, ex. EUR)`);
+    }
+
+    // Taxes Sellsy résolues avant toute création : un taux inconnu bloque la facture
+    const taxes = [];
+    for (const line of invoiceLines) {
+      taxes.push(await this.findTaxByRate(regime.zeroRated ? 0 : (line.taxRate ?? 20)));
+    }
+
+    // Type de client : la facture doit cibler une entreprise ou un particulier
+    const relatedType = clientType || await this.getClientType(clientId);
+
     // Recherche de l'ID de la méthode de paiement
     let paymentMethodId;
     try {
-      paymentMethodId = await findPaymentMethodByName(paymentMethod);
+      paymentMethodId = await this.findPaymentMethodByName(paymentMethod);
     } catch (error) {
-      console.warn(`⚠️ Méthode de paiement non trouvée, la facture sera créée sans méthode de paiement spécifiée`);
+      logger.warn(`⚠️ Méthode de paiement non trouvée, la facture sera créée sans méthode de paiement spécifiée`);
     }
-    
-    // Préparation des dates
-    const today = new Date();
-    const formattedDate = today.toISOString().split('T')[0];
-    
+
+    // Préparation des dates : échéance selon le délai de paiement de l'abonnement
+    const formattedDate = date || formatDate(businessToday());
+    const dueDate = adjustToBusinessDay(calculateDueDate(`${formattedDate}T00:00:00`, termDays), businessDayRule);
+    const directDebit = isDirectDebit(paymentMethod);
+
+    // Variables des textes de la facture (sujet, note, libellé des lignes)
+    const values = buildTemplateValues(template, { abonnementName, serviceName, periodMonths, coveredPeriod, customerReference, dueDate, paymentMethod });
+
     // Conversion des valeurs numériques
-    const numericPrice = parseFloat(price);
-    const numericTaxRate = parseFloat(taxRate);
     const numericClientId = parseInt(clientId);
-    const numericServiceId = parseInt(serviceId);
-    
-    console.log(`📊 Prix: ${numericPrice}, Taux TVA: ${numericTaxRate}%, Client ID: ${numericClientId}`);
-    
-    // Configuration des paramètres GoCardless dans la facture selon la documentation Sellsy
-    const invoiceData = {
+    const rows = invoiceLines.map((line, index) => {
+      const numericPrice = parseFloat(line.price);
+      const numericTaxRate = parseFloat(taxes[index].rate);
+
+      const quantity = parseFloat(line.quantity ?? 1);
+
+      logger.info(`📊 ${line.serviceName} - Prix: ${numericPrice}${quantity !== 1 ? ` × ${quantity}` : ''}, Taux TVA: ${numericTaxRate}%, Client ID: ${numericClientId}`);
+
+      // Libellé de la ligne : mois consommé, période couverte (ou prorata) selon le modèle
+      let lineDescription = line.description || null;
+      if (!lineDescription && line.usagePeriod) {
+        lineDescription = renderTemplate(template, 'usageLine', { ...values, service: line.serviceName, mois: formatMonthRange(`${line.usagePeriod}-01`, `${line.usagePeriod}-01`, template.language) });
+      } else if (!lineDescription && coveredPeriod) {
+        lineDescription = renderTemplate(template, line.prorated ? 'prorataLine' : 'line', { ...values, service: line.serviceName });
+      }
+
+      return {
+        // Ligne du catalogue, ou ligne libre pour une consommation sans article Sellsy
+        ...(line.serviceId
+          ? { type: "catalog", related: { id: parseInt(line.serviceId), type: "service" } }
+          : { type: "single", reference: line.serviceName.slice(0, 100) }),
+        unit_amount: numericPrice.toString(),
+        tax_rate: numericTaxRate.toString(),
+        tax_id: taxes[index].id,
+        quantity: quantity.toString(),
+        ...(lineDescription ? { description: lineDescription } : {})
+      };
+    });
+    const references = [].concat(reference || []);
+
+    // Configuration des paramètres de paiement (GoCardless pour un prélèvement) selon la documentation Sellsy
+    return {
       date: formattedDate,
-      due_date: formattedDate,
-      subject: `Abonnement mensuel - ${serviceName}`,
-      currency: "EUR",
-      
+      due_date: dueDate,
+      subject: renderTemplate(template, 'subject', values),
+      currency,
+
       related: [
         {
           id: numericClientId,
-          type: "individual"  // ou "company" selon le type de client
+          type: relatedType
         }
       ],
-      
-      note: "Facture prélevée automatiquement par prélèvement SEPA. Aucune action requise de votre part.",
-      
+
+      note: renderTemplate(template, directDebit ? 'directDebitNote' : 'paymentNote', values) +
+        (coveredPeriod ? `\n${renderTemplate(template, 'periodNote', values)}` : "") +
+        ((taxMention || regime.mention) ? `\n${taxMention || regime.mention}` : "") +
+        (references.length ? `\n${renderTemplate(template, 'referenceLabel', values)} ${references.join(', ')}` : ""),
+
       // Ajout de la méthode de paiement si disponible
       ...(paymentMethodId ? { payment_method_ids: [paymentMethodId] } : {}),
-      
-      // Configuration pour GoCardless selon la documentation
+
+      // Prélèvement : module de prélèvement (GoCardless par défaut) ; sinon module de paiement en ligne éventuel
       settings: {
-        payments: {
-          payment_modules: [],
-          direct_debit_module: "gocardless"
-        }
+        payments: directDebit
+          ? { payment_modules: [], direct_debit_module: paymentModule || "gocardless" }
+          : { payment_modules: paymentModule ? [paymentModule] : [] }
       },
-      
-      rows: [
-        {
-          type: "catalog",
-          related: {
-            id: numericServiceId,
-            type: "service"
-          },
-          unit_amount: numericPrice.toString(),
-          tax_rate: numericTaxRate.toString(),
-          quantity: "1"
-        }
-      ]
+
+      rows
     };
-    
-    console.log("📄 Données facture :", JSON.stringify(invoiceData, null, 2));
-    
-    // Création de la facture
-    const invoice = await sellsyRequest('post', '/invoices', invoiceData);
-    console.log(`✅ Facture créée avec ID: ${invoice.id}`);
-    
-    // Validation de la facture (obligatoire avant de pouvoir la payer)
+  }
+
+  /**
+   * Génère une facture dans Sellsy avec sa configuration de paiement (GoCardless pour un prélèvement)
+   * @param {Object} options - Les options pour la création de facture (voir buildInvoicePayload)
+   * @param {Object} [settings] - Les réglages de création
+   * @param {boolean} [settings.validate] - Faux pour laisser la facture en brouillon, à valider après relecture (par défaut vrai)
+   * @returns {Promise<Object>} - La facture créée, avec validated (et validationError en cas d'échec de validation, draft pour un brouillon)
+   */
+  async generateInvoice(options, { validate = true } = {}) {
+    const { clientId, serviceName } = options;
+    const reference = [].concat(options.reference || [])[0];
     try {
-      await sellsyRequest('post', `/invoices/${invoice.id}/validate`, { date: formattedDate });
-      console.log(`✅ Facture ${invoice.id} validée avec succès`);
+      logger.info(`🔄 Génération d'une facture pour le client ID ${clientId}, service: ${serviceName}`);
       
-      // Avec la configuration direct_debit_module: "gocardless", le prélèvement est automatique
-      console.log(`💶 Prélèvement GoCardless configuré automatiquement pour la facture ${invoice.id}`);
+      const invoiceData = await this.buildInvoicePayload(options);
+      const formattedDate = invoiceData.date;
       
+      logger.debug('📄 Données facture :', invoiceData);
+      
+      // Création de la facture
+      // Sans référence d'idempotence, une création en erreur n'est pas retentée
+      let invoice = await this.createDocument('/invoices', invoiceData, reference
+        ? () => this.findInvoiceByReference(clientId, reference, formattedDate, invoiceData.related[0].type)
+        : null);
+      logger.info(`✅ Facture créée avec ID: ${invoice.id}`);
+
+      if (!validate) {
+        logger.info(`📝 Facture ${invoice.id} laissée en brouillon, en attente de validation`);
+        return { ...invoice, validated: false, draft: true };
+      }
+      
+      // Validation de la facture (obligatoire avant de pouvoir la payer)
+      try {
+        invoice = await this.validateInvoice(invoice, formattedDate);
+        
+        // Avec un module de prélèvement (direct_debit_module), le prélèvement est automatique
+        if (invoiceData.settings.payments.direct_debit_module) {
+          logger.info(`💶 Prélèvement ${invoiceData.settings.payments.direct_debit_module} configuré automatiquement pour la facture ${invoice.id}`);
+        }
+        
+      } catch (validationError) {
+        invoice = { ...invoice, validated: false, validationError: validationError.message };
+        logger.warn(`⚠️ Impossible de valider la facture: ${validationError.message}`);
+        logger.info(`⚠️ La facture a été créée mais n'a pas pu être validée automatiquement.`);
+      }
+      
+      return invoice;
+    } catch (error) {
+      logger.error("❌ Erreur lors de la génération de la facture:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Valide une facture brouillon : elle reçoit son numéro définitif et son prélèvement est déclenché
+   * @param {Object} invoice - La facture Sellsy (au moins son ID)
+   * @param {string} date - La date de facture (YYYY-MM-DD)
+   * @returns {Promise<Object>} - La facture validée, avec validated
+   */
+  async validateInvoice(invoice, date) {
+    const validated = await this.validateDocument(`/invoices/${invoice.id}`, date);
+    logger.info(`✅ Facture ${invoice.id} validée avec succès`);
+    // La facture validée porte son numéro définitif
+    return { ...invoice, ...(validated?.id ? validated : {}), validated: true };
+  }
+
+  /**
+   * Récupère une facture Sellsy
+   * @param {string|number} invoiceId - L'ID de la facture
+   * @param {Object} [options] - Les options de récupération
+   * @param {boolean} [options.rows] - Vrai pour inclure les lignes de la facture
+   * @returns {Promise<Object>} - La facture (statut, montants, échéance...)
+   */
+  async getInvoice(invoiceId, { rows = false } = {}) {
+    return this.request('get', `/invoices/${invoiceId}${rows ? '?embed[]=rows' : ''}`);
+  }
+
+  /**
+   * Télécharge le PDF d'une facture validée (lien pdf_link de la facture)
+   * @param {Object} invoice - La facture Sellsy (relue si elle ne porte pas son lien PDF)
+   * @param {number} retryCount - Le nombre de tentatives déjà effectuées
+   * @returns {Promise<Buffer>} - Le contenu du PDF
+   */
+  async downloadInvoicePdf(invoice, retryCount = 0) {
+    const MAX_RETRIES = 3;
+    const pdfLink = invoice.pdf_link || (await this.getInvoice(invoice.id)).pdf_link;
+    if (!pdfLink) {
+      throw new Error(`lien PDF absent pour la facture ${invoice.id}`);
+    }
+
+    try {
+      const response = await this.limiter(() => axios.get(pdfLink, { responseType: 'arraybuffer' }));
+      return Buffer.from(response.data);
+    } catch (error) {
+      if (retryCount < MAX_RETRIES - 1 && isRetryableError(error)) {
+        const delay = getRetryDelay(error, retryCount);
+        logger.warn(`⏳ PDF de la facture ${invoice.id} : nouvelle tentative dans ${(delay / 1000).toFixed(1)}s`);
+        await sleep(delay);
+        return this.downloadInvoicePdf({ ...invoice, pdf_link: pdfLink }, retryCount + 1);
+      }
+      throw new Error(`téléchargement du PDF de la facture ${invoice.id} impossible : ${error.message}`);
+    }
+  }
+
+  /**
+   * Crée et valide un avoir dans Sellsy, puis le rattache à sa facture
+   * @param {Object} creditNoteData - Les données de l'avoir (payload POST /credit-notes)
+   * @param {string|number} invoiceId - L'ID de la facture d'origine
+   * @returns {Promise<Object>} - L'avoir créé, avec validated et linked (et les erreurs correspondantes)
+   */
+  async createCreditNote(creditNoteData, invoiceId) {
+    logger.info(`🔄 Création d'un avoir sur la facture ${invoiceId}...`);
+    let creditNote = await this.createDocument('/credit-notes', creditNoteData, () => this.findCreditNote(creditNoteData));
+    logger.info(`✅ Avoir créé avec ID: ${creditNote.id}`);
+
+    try {
+      const validated = await this.validateDocument(`/credit-notes/${creditNote.id}`, creditNoteData.date);
+      creditNote = { ...creditNote, ...(validated?.id ? validated : {}), validated: true };
+      logger.info(`✅ Avoir ${creditNote.id} validé avec succès`);
     } catch (validationError) {
-      console.warn(`⚠️ Impossible de valider la facture: ${validationError.message}`);
-      console.log(`⚠️ La facture a été créée mais n'a pas pu être validée automatiquement.`);
+      creditNote = { ...creditNote, validated: false, validationError: validationError.message };
+      logger.warn(`⚠️ Impossible de valider l'avoir: ${validationError.message}`);
+      return creditNote;
     }
-    
-    return invoice;
-  } catch (error) {
-    console.error("❌ Erreur lors de la génération de la facture:", error);
-    throw error;
+
+    // Imputation de l'avoir sur la facture d'origine
+    try {
+      // Montant TTC calculé par Sellsy (quantités et taxes comprises), relu si la réponse ne le porte pas
+      const amount = creditNote.amounts?.total_incl_tax ??
+        (await this.request('get', `/credit-notes/${creditNote.id}`))?.amounts?.total_incl_tax;
+      if (amount === undefined || amount === null) {
+        throw new Error(`montant TTC de l'avoir ${creditNote.id} introuvable`);
+      }
+      await this.request('post', `/credit-notes/${creditNote.id}/link-invoices`, { invoices: [{ id: parseInt(invoiceId), amount: String(amount) }] });
+      creditNote = { ...creditNote, linked: true };
+      logger.info(`🔗 Avoir ${creditNote.id} imputé sur la facture ${invoiceId}`);
+    } catch (linkError) {
+      creditNote = { ...creditNote, linked: false, linkError: linkError.message };
+      logger.warn(`⚠️ Avoir ${creditNote.id} non imputé sur la facture ${invoiceId}: ${linkError.message}`);
+    }
+
+    return creditNote;
+  }
+
+  /**
+   * Recherche l'avoir déjà créé par cette émission (client, date, sujet et note, qui porte la référence de l'émission)
+   * @param {Object} creditNoteData - Les données de l'avoir (payload POST /credit-notes)
+   * @returns {Promise<Object|null>} - L'avoir trouvé ou null
+   */
+  async findCreditNote(creditNoteData) {
+    logger.info(`🔍 Recherche d'un avoir existant "${creditNoteData.subject}"...`);
+    const response = await this.request('post', '/credit-notes/search?limit=100', {
+      filters: {
+        related_objects: creditNoteData.related.map(({ id, type }) => ({ id: parseInt(id), type })),
+        date: { start: creditNoteData.date }
+      }
+    });
+    // La note peut être reformatée par Sellsy (retours à la ligne) : seule sa première ligne, qui porte
+    // la référence de l'émission, est comparée ; un avoir précédent sur la même facture n'est pas retenu
+    const firstLine = creditNoteData.note.split('\n')[0];
+    const creditNote = (response?.data || []).find((item) => item.status !== 'cancelled' &&
+      item.subject === creditNoteData.subject && String(item.note || '').includes(firstLine));
+    if (creditNote) {
+      logger.info(`✅ Avoir existant trouvé (ID: ${creditNote.id})`);
+    }
+    return creditNote || null;
   }
+
+  /**
+   * Liste les paiements rattachés à une facture Sellsy (dont les prélèvements GoCardless)
+   * @param {string|number} invoiceId - L'ID de la facture
+   * @returns {Promise<Object[]>} - Les paiements de la facture
+   */
+  async getInvoicePayments(invoiceId) {
+    const response = await this.request('get', `/invoices/${invoiceId}/payments?limit=100`);
+    return response?.data || [];
+  }
+
+  /**
+   * Vérifie la connexion à l'API Sellsy
+   * @returns {Promise<boolean>} - Vrai si la connexion est établie avec succès
+   */
+  async checkConnection() {
+    try {
+      logger.info(`🔄 Vérification connexion API ${this.label}...`);
+      const token = await this.getAccessToken();
+      if (!token) return false;
+      
+      // Utiliser un endpoint existant pour tester la connexion
+      const response = await this.request('get', '/companies?limit=1');
+      
+      if (response) {
+        logger.info(`✅ Connexion API ${this.label} OK`);
+        if (response.data && response.data.length > 0) {
+          logger.debug(`🏢 Premier client trouvé: ${response.data[0].name || 'Non défini'}`);
+        } else {
+          logger.info(`🏢 Connecté à l'API ${this.label} (aucun client trouvé)`);
+        }
+        return true;
+      }
+      return false;
+    } catch (error) {
+      logger.error(`❌ Échec de connexion à l'API ${this.label}:`, error);
+      return false;
+    }
+  }
+}
+
+/**
+ * Indique si une méthode de paiement est un prélèvement
+ * @param {string} paymentMethod - Le nom de la méthode de paiement (ex. "Prélèvement", "Virement")
+ * @returns {boolean} - Vrai pour un prélèvement (SEPA)
+ */
+export function isDirectDebit(paymentMethod) {
+  const name = String(paymentMethod || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  return name.includes('prelevement') || name.includes('sepa');
+}
+
+/**
+ * Indique si une facture porte une référence d'idempotence (dans sa note ou son sujet)
+ * @param {Object} invoice - La facture Sellsy
+ * @param {string} reference - La référence, ou son préfixe
+ * @returns {boolean} - Vrai si la référence est trouvée
+ */
+export function invoiceHasReference(invoice, reference) {
+  return Boolean((invoice.note && invoice.note.includes(reference)) || (invoice.subject && invoice.subject.includes(reference)));
+}
+
+/**
+ * Convertit le nom d'une entité en suffixe de variables d'environnement (ex. "Acme Études" → ACME_ETUDES)
+ * @param {string} [entity] - Le nom de l'entité
+ * @returns {string} - Le suffixe, vide pour le compte par défaut
+ */
+export function getEntityKey(entity) {
+  return String(entity || '').trim().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
 }
 
 /**
- * Vérifie la connexion à l'API Sellsy
- * @returns {Promise<boolean>} - Vrai si la connexion est établie avec succès
+ * Lit les identifiants Sellsy d'une entité : SELLSY_CLIENT_ID_<ENTITÉ>, SELLSY_CLIENT_SECRET_<ENTITÉ> et SELLSY_API_URL_<ENTITÉ>,
+ * à défaut l'entrée de l'entité dans SELLSY_ENTITIES (JSON : { "<entité>": { clientId, clientSecret, apiUrl } })
+ * @param {string} key - Le suffixe de l'entité (getEntityKey), vide pour le compte par défaut
+ * @returns {{clientId: string, clientSecret: string, apiUrl: string}} - Les identifiants (non renseignés s'ils sont absents)
+ * @throws {Error} - Si SELLSY_ENTITIES n'est pas un JSON valide
  */
-export async function checkSellsyConnection() {
+function getEntityCredentials(key) {
+  const suffix = key ? `_${key}` : '';
+  const credentials = {
+    clientId: process.env[`SELLSY_CLIENT_ID${suffix}`],
+    clientSecret: process.env[`SELLSY_CLIENT_SECRET${suffix}`],
+    apiUrl: process.env[`SELLSY_API_URL${suffix}`],
+  };
+  if (!key || (credentials.clientId && credentials.clientSecret) || !process.env.SELLSY_ENTITIES) return credentials;
+
+  let entities;
   try {
-    console.log('🔄 Vérification connexion API Sellsy...');
-    checkSellsyCredentials();
-    const token = await getAccessToken();
-    if (!token) return false;
-    
-    // Utiliser un endpoint existant pour tester la connexion
-    const response = await sellsyRequest('get', '/companies?limit=1');
-    
-    if (response) {
-      console.log('✅ Connexion API Sellsy OK');
-      if (response.data && response.data.length > 0) {
-        console.log(`🏢 Premier client trouvé: ${response.data[0].name || 'Non défini'}`);
-      } else {
-        console.log(`🏢 Connecté à l'API Sellsy (aucun client trouvé)`);
-      }
-      return true;
-    }
-    return false;
+    entities = JSON.parse(process.env.SELLSY_ENTITIES);
   } catch (error) {
-    console.error('❌ Échec de connexion à l\'API Sellsy:', error);
-    return false;
+    // Le message d'erreur du JSON cite son contenu : il n'est pas repris
+    throw new Error('SELLSY_ENTITIES illisible (JSON attendu : { "<entité>": { "clientId": ..., "clientSecret": ... } })');
+  }
+  const entry = Object.entries(entities || {}).find(([name]) => getEntityKey(name) === key)?.[1] || {};
+  return {
+    clientId: entry.clientId,
+    clientSecret: entry.clientSecret,
+    apiUrl: credentials.apiUrl || entry.apiUrl,
+  };
+}
+
+/**
+ * Retourne le client Sellsy d'une entité, configuré par SELLSY_CLIENT_ID_<ENTITÉ> et SELLSY_CLIENT_SECRET_<ENTITÉ>
+ * ou par SELLSY_ENTITIES (SELLSY_CLIENT_ID et SELLSY_CLIENT_SECRET pour le compte par défaut)
+ * @param {string} [entity] - Le nom de l'entité (vide pour le compte par défaut)
+ * @returns {SellsyClient} - Le client, partagé pour toute l'exécution
+ * @throws {Error} - Si les identifiants de l'entité ne sont pas configurés
+ */
+export function getSellsyClient(entity) {
+  const key = getEntityKey(entity);
+  if (!clients.has(key)) {
+    const suffix = key ? `_${key}` : '';
+    const { clientId, clientSecret, apiUrl } = getEntityCredentials(key);
+    if (key && (!clientId || !clientSecret)) {
+      throw new Error(`Entité "${entity}" : identifiants Sellsy non configurés (SELLSY_CLIENT_ID${suffix} et SELLSY_CLIENT_SECRET${suffix}, ou entrée "${String(entity).trim()}" de SELLSY_ENTITIES)`);
+    }
+    clients.set(key, new SellsyClient({
+      entity: key ? String(entity).trim() : null,
+      clientId,
+      clientSecret,
+      apiUrl: apiUrl || SELLSY_API_URL,
+      // Limite de débit par compte (SELLSY_RATE_LIMIT requêtes par seconde, 5 par défaut)
+      rateLimit: parseFloat(process.env.SELLSY_RATE_LIMIT) || 5,
+    }));
+  }
+  return clients.get(key);
+}
+
+/**
+ * Vide les caches de tous les clients Sellsy créés (serveur de facturation à la demande)
+ */
+export function clearSellsyCaches() {
+  for (const client of clients.values()) {
+    client.clearCaches();
   }
 }
 
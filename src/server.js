@@ -0,0 +1,244 @@
+// Facturation à la demande d'un abonnement : serveur HTTP authentifié (bouton d'automatisation Airtable)
+import http from 'http';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { getSellsyClient, clearSellsyCaches } from './sellsy.js';
+import { reloadLedger } from './ledger.js';
+import { clearTemplateCache } from './templates.js';
+import { getAbonnementsTable, getSchema, airtableRequest } from './airtable.js';
+import { isBillable, fetchServicesForAbonnement, fetchPendingDraftCounts, generateInvoices, getAbonnementEntity } from './billing.js';
+import { createRunReport } from './report.js';
+import { businessToday, requireEnv } from './utils.js';
+import { logger, withLogContext } from './logger.js';
+
+dotenv.config();
+
+requireEnv([
+  'AIRTABLE_API_KEY',
+  'AIRTABLE_BASE_ID',
+  'SELLSY_CLIENT_ID',
+  'SELLSY_CLIENT_SECRET',
+  'INVOICE_API_TOKEN',
+]);
+
+const abonnementsTable = getAbonnementsTable();
+
+// Port d'écoute du serveur
+const PORT = parseInt(process.env.PORT || '3000', 10) || 3000;
+
+// Nombre maximal de périodes en retard rattrapées par service
+const MAX_CATCHUP_PERIODS = parseInt(process.env.MAX_CATCHUP_PERIODS || '3', 10);
+
+// Décalage des dates de facturation et d'échéance hors week-ends et jours fériés : suivant, precedent ou vide
+const BUSINESS_DAY_RULE = (process.env.BUSINESS_DAY_RULE || '').trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// Mode brouillon : factures créées sans validation, à relire puis valider avec npm run approve
+const DRAFT_MODE = ['true', '1', 'oui'].includes((process.env.INVOICE_DRAFTS || '').trim().toLowerCase());
+
+// Route de facturation : POST /abonnements/<ID Airtable de l'abonnement>/factures
+const INVOICE_ROUTE = /^\/abonnements\/(rec[A-Za-z0-9]{14})\/factures\/?$/;
+
+// Abonnements en cours de facturation : un double clic ne crée pas deux factures
+const inProgress = new Set();
+
+// Rechargement en cours des caches de l'exécution, attendu par chaque requête
+let cacheReset = Promise.resolve();
+
+/**
+ * Fonction principale : démarre le serveur
+ */
+function main() {
+  if (BUSINESS_DAY_RULE && !['suivant', 'precedent'].includes(BUSINESS_DAY_RULE)) {
+    logger.error(`❌ BUSINESS_DAY_RULE invalide : ${process.env.BUSINESS_DAY_RULE} (attendu : suivant ou precedent)`);
+    process.exit(1);
+  }
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((err) => {
+      logger.error('❌ Erreur de traitement de la requête :', err.message);
+      if (!res.headersSent) sendJson(res, 500, { ok: false, error: err.message });
+    });
+  });
+
+  server.listen(PORT, () => {
+    logger.info(`🌐 Facturation à la demande : POST http://localhost:${PORT}/abonnements/<ID>/factures${DRAFT_MODE ? ' (brouillons à valider)' : ''}`);
+  });
+
+  // Arrêt propre : les facturations en cours se terminent avant la fermeture
+  process.on('SIGTERM', () => server.close());
+  process.on('SIGINT', () => server.close());
+}
+
+/**
+ * Authentifie et aiguille une requête
+ * @param {http.IncomingMessage} req - La requête
+ * @param {http.ServerResponse} res - La réponse
+ * @returns {Promise<void>}
+ */
+async function handleRequest(req, res) {
+  // Le corps de la requête n'est pas utilisé
+  req.resume();
+
+  if (!isAuthorized(req)) {
+    logger.warn(`⚠️ Requête refusée (jeton absent ou invalide) : ${req.method} ${req.url}`);
+    sendJson(res, 401, { ok: false, error: 'jeton absent ou invalide' });
+    return;
+  }
+
+  const match = INVOICE_ROUTE.exec(new URL(req.url, 'http://localhost').pathname);
+  if (!match) {
+    sendJson(res, 404, { ok: false, error: 'route inconnue (attendu : POST /abonnements/<ID>/factures)' });
+    return;
+  }
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    sendJson(res, 405, { ok: false, error: 'méthode non autorisée (attendu : POST)' });
+    return;
+  }
+
+  const abonnementId = match[1];
+  if (inProgress.has(abonnementId)) {
+    sendJson(res, 409, { ok: false, abonnementId, error: 'facturation déjà en cours pour cet abonnement' });
+    return;
+  }
+
+  // Registre, taxes, types de clients et modèles sont relus pour chaque requête ; jamais pendant une autre
+  // facturation qui les utilise (le registre partagé garde ses écritures)
+  if (!inProgress.size) cacheReset = resetRunCaches();
+  inProgress.add(abonnementId);
+  try {
+    await cacheReset;
+    const { status, body } = await withLogContext({ abonnementId }, () => invoiceAbonnement(abonnementId));
+    sendJson(res, status, body);
+  } finally {
+    inProgress.delete(abonnementId);
+  }
+}
+
+/**
+ * Recharge les caches conçus pour une exécution unique : registre local relu sur disque,
+ * taxes et types de clients Sellsy, modèles de facture
+ * @returns {Promise<void>}
+ */
+async function resetRunCaches() {
+  await reloadLedger();
+  clearSellsyCaches();
+  clearTemplateCache();
+}
+
+/**
+ * Vérifie le jeton de la requête (en-tête Authorization: Bearer <INVOICE_API_TOKEN>)
+ * @param {http.IncomingMessage} req - La requête
+ * @returns {boolean} - Vrai si le jeton est valide
+ */
+function isAuthorized(req) {
+  const [scheme, token] = String(req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) return false;
+
+  // Comparaison à temps constant
+  const expected = crypto.createHash('sha256').update(process.env.INVOICE_API_TOKEN).digest();
+  const received = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Facture immédiatement un abonnement, avec les mêmes vérifications que la facturation quotidienne ;
+ * la période en cours est facturée sans attendre son jour de facturation
+ * @param {string} abonnementId - L'ID Airtable de l'abonnement
+ * @returns {Promise<{status: number, body: Object}>} - Le code HTTP et le résultat
+ */
+async function invoiceAbonnement(abonnementId) {
+  const runDate = businessToday();
+  const report = createRunReport(runDate);
+  const result = (status, error = null) => ({
+    status,
+    body: {
+      ok: !error && !report.failed.length,
+      abonnementId,
+      date: report.date,
+      ...(error ? { error } : {}),
+      created: report.created,
+      skipped: report.skipped,
+      failed: report.failed,
+    },
+  });
+
+  logger.info(`🖱️ Facturation à la demande de l'abonnement ${abonnementId}${DRAFT_MODE ? ' (brouillon à valider)' : ''}`);
+
+  const abonnement = await fetchAbonnementActif(abonnementId);
+  if (!abonnement) {
+    const exists = await airtableRequest(() => abonnementsTable.find(abonnementId)).then(() => true, () => false);
+    logger.warn(`⚠️ Abonnement ${abonnementId} ${exists ? 'inactif' : 'introuvable'}`);
+    return exists ? result(409, 'abonnement inactif') : result(404, 'abonnement introuvable');
+  }
+
+  if (!isBillable(abonnement, runDate, report)) {
+    return result(422, 'abonnement non facturable');
+  }
+
+  const services = await fetchServicesForAbonnement(abonnement, report);
+  if (!services.length) {
+    logger.info(`ℹ️ Aucun service actif trouvé pour l'abonnement ${abonnement.id}`);
+    return result(422, 'aucun service facturable');
+  }
+
+  // Compte Sellsy de l'entité de l'abonnement
+  let sellsy;
+  try {
+    sellsy = getSellsyClient(getAbonnementEntity(abonnement));
+  } catch (err) {
+    logger.error(`❌ Abonnement ${abonnement.id} : ${err.message}`);
+    return result(500, err.message);
+  }
+  if (!await sellsy.checkConnection()) {
+    return result(502, `${sellsy.label} : connexion à l'API impossible`);
+  }
+
+  try {
+    await generateInvoices(abonnement, services, {
+      runDate,
+      report,
+      maxCatchUp: isNaN(MAX_CATCHUP_PERIODS) ? 3 : MAX_CATCHUP_PERIODS,
+      businessDayRule: BUSINESS_DAY_RULE,
+      draft: DRAFT_MODE,
+      pendingDrafts: await fetchPendingDraftCounts(),
+      advance: true,
+      sellsy,
+    });
+  } catch (err) {
+    logger.error(`❌ Erreur traitement abonnement ${abonnement.id} :`, err.message);
+    return result(500, err.message);
+  }
+
+  logger.info(`✅ Abonnement ${abonnementId} : ${report.created.length} facture(s) créée(s), ${report.skipped.length} élément(s) ignoré(s), ${report.failed.length} échec(s)`);
+  return result(200);
+}
+
+/**
+ * Récupère un abonnement s'il est actif (filtre et vue de airtable-schema.json, comme la facturation quotidienne)
+ * @param {string} abonnementId - L'ID Airtable de l'abonnement
+ * @returns {Promise<Object|null>} - L'abonnement ({ id, fields }), ou null s'il est introuvable ou inactif
+ */
+async function fetchAbonnementActif(abonnementId) {
+  const { activeFilter, view } = getSchema().abonnements;
+  const records = await airtableRequest(() => abonnementsTable.select({
+    filterByFormula: activeFilter ? `AND(RECORD_ID() = '${abonnementId}', ${activeFilter})` : `RECORD_ID() = '${abonnementId}'`,
+    ...(view ? { view } : {}),
+  }).all());
+
+  return records.length ? { id: records[0].id, fields: records[0].fields } : null;
+}
+
+/**
+ * Envoie une réponse JSON
+ * @param {http.ServerResponse} res - La réponse
+ * @param {number} status - Le code HTTP
+ * @param {Object} body - Le contenu
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+// Exécution du script
+main();
@@ -0,0 +1,186 @@
+// Synchronisation du statut de paiement des factures générées (prélèvements GoCardless) vers Airtable
+import dotenv from 'dotenv';
+import { getAbonnementsTable, getFacturesTable, airtableRequest } from './airtable.js';
+import { getSellsyClient } from './sellsy.js';
+import { mapWithConcurrency } from './throttle.js';
+import { formatDate, businessToday, requireEnv } from './utils.js';
+import { logger, withLogContext } from './logger.js';
+
+dotenv.config();
+
+requireEnv([
+  'AIRTABLE_API_KEY',
+  'AIRTABLE_BASE_ID',
+  'SELLSY_CLIENT_ID',
+  'SELLSY_CLIENT_SECRET',
+]);
+
+const facturesTable = getFacturesTable();
+const abonnementsTable = getAbonnementsTable();
+
+const CONCURRENCY = parseInt(process.env.CONCURRENCY || '4', 10) || 4;
+
+// Statuts de facture Sellsy et leur libellé dans Airtable
+const INVOICE_STATUS_LABELS = {
+  draft: 'Brouillon',
+  due: 'À payer',
+  payinprogress: 'Paiement en cours',
+  paid: 'Payée',
+  late: 'En retard',
+  cancelled: 'Annulée',
+};
+
+// Statuts définitifs : la facture n'est plus synchronisée
+const FINAL_STATUSES = ['Payée', 'Annulée'];
+
+// Statuts d'un paiement signalant un prélèvement échoué
+const FAILED_PAYMENT_STATUSES = ['failed', 'cancelled', 'charged_back', 'refused', 'rejected'];
+
+const UNPAID = 'Impayé';
+const UP_TO_DATE = 'À jour';
+
+/**
+ * Fonction principale : met à jour le statut de paiement des factures du journal
+ * et signale les abonnements dont un prélèvement a échoué
+ */
+async function main() {
+  logger.info('💶 Synchronisation des paiements des factures Sellsy...');
+
+  try {
+    if (!await getSellsyClient().checkConnection()) {
+      throw new Error("❌ Connexion à l'API Sellsy impossible.");
+    }
+
+    const logs = await fetchInvoiceLogsToSync();
+    logger.info(`📄 ${logs.length} facture(s) à synchroniser`);
+
+    const results = await mapWithConcurrency(logs, CONCURRENCY, (log) => withLogContext({
+      abonnementId: (log.fields['Abonnement'] || []).join('+'),
+      serviceId: log.fields['Services'] || [],
+    }, () => syncInvoiceLog(log)));
+    const errors = results.filter((result) => !result).length;
+
+    // Abonnements concernés : impayés s'il reste au moins une facture impayée
+    const unpaidByAbonnement = new Map();
+    results.forEach((result, index) => {
+      if (!result) return;
+      for (const abonnementId of logs[index].fields['Abonnement'] || []) {
+        unpaidByAbonnement.set(abonnementId, unpaidByAbonnement.get(abonnementId) || result.status === UNPAID);
+      }
+    });
+
+    const flagged = await updateAbonnementsPaymentStatus(unpaidByAbonnement);
+
+    const paid = results.filter((result) => result?.status === 'Payée').length;
+    logger.info(`✅ ${results.length - errors} facture(s) synchronisée(s), dont ${paid} payée(s)`);
+    if (flagged.length) {
+      logger.warn(`⚠️ ${flagged.length} abonnement(s) impayé(s) : ${flagged.join(', ')}`);
+    }
+    if (errors) {
+      logger.error(`❌ ${errors} facture(s) non synchronisée(s)`);
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    logger.error('❌ Erreur principale :', err.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Récupère les factures du journal créées dans Sellsy dont le paiement n'est pas définitif
+ * (hors brouillons rejetés et échecs, absents de Sellsy ou annulés)
+ * @returns {Promise<Object[]>} - Les enregistrements du journal ({ id, fields })
+ */
+async function fetchInvoiceLogsToSync() {
+  const finalFilter = FINAL_STATUSES.map((status) => `{Statut paiement} != '${status}'`).join(', ');
+  const records = await airtableRequest(() => facturesTable.select({
+    filterByFormula: `AND({ID facture Sellsy} != '', {Statut validation} != 'Rejetée', {Statut validation} != 'Échec', ${finalFilter})`,
+  }).all());
+
+  return records.map((r) => ({ id: r.id, fields: r.fields }));
+}
+
+/**
+ * Détermine le statut de paiement d'une facture à partir de son statut Sellsy et de ses paiements
+ * @param {Object} invoice - La facture Sellsy
+ * @param {Object[]} payments - Les paiements de la facture
+ * @returns {string} - Le statut de paiement (libellé Airtable)
+ */
+function resolvePaymentStatus(invoice, payments) {
+  if (invoice.status === 'paid' || invoice.status === 'cancelled') {
+    return INVOICE_STATUS_LABELS[invoice.status];
+  }
+  // Un prélèvement rejeté laisse la facture à payer dans Sellsy
+  if (payments.some((payment) => FAILED_PAYMENT_STATUSES.includes(payment.status))) {
+    return UNPAID;
+  }
+  return INVOICE_STATUS_LABELS[invoice.status] || invoice.status;
+}
+
+/**
+ * Synchronise une facture du journal avec Sellsy
+ * @param {Object} log - L'enregistrement du journal des factures
+ * @returns {Promise<Object|null>} - Le statut de paiement, ou null en cas d'erreur
+ */
+async function syncInvoiceLog(log) {
+  const invoiceId = log.fields['ID facture Sellsy'];
+  try {
+    // Facture lue dans le compte Sellsy de l'entité qui l'a émise
+    const sellsy = getSellsyClient(log.fields['Entité']);
+    const invoice = await sellsy.getInvoice(invoiceId);
+    const payments = await sellsy.getInvoicePayments(invoiceId);
+    const status = resolvePaymentStatus(invoice, payments);
+
+    const received = payments.filter((payment) => !FAILED_PAYMENT_STATUSES.includes(payment.status));
+    const amountPaid = received.reduce((sum, payment) => sum + parseFloat(payment.amount?.value ?? payment.amount ?? 0), 0);
+    const lastPaymentDate = received.map((payment) => payment.paid_at || payment.date).filter(Boolean).sort().pop();
+
+    const fields = {
+      'Statut paiement': status,
+      'Montant payé': parseFloat(amountPaid.toFixed(2)),
+      'Dernière synchronisation': formatDate(businessToday()),
+    };
+    if (lastPaymentDate) fields['Date paiement'] = lastPaymentDate.slice(0, 10);
+
+    if (log.fields['Statut paiement'] !== status) {
+      logger.info(`🔁 Facture ${log.fields['Numéro facture'] || invoiceId} : ${log.fields['Statut paiement'] || 'inconnu'} → ${status}`);
+    }
+    await airtableRequest(() => facturesTable.update(log.id, fields));
+
+    return { status };
+  } catch (err) {
+    logger.error(`❌ Erreur synchronisation de la facture ${invoiceId} :`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Met à jour le statut de paiement des abonnements ("Impayé" ou "À jour")
+ * @param {Map<string, boolean>} unpaidByAbonnement - Abonnements concernés, vrai si une facture est impayée
+ * @returns {Promise<string[]>} - Les noms ou IDs des abonnements impayés
+ */
+async function updateAbonnementsPaymentStatus(unpaidByAbonnement) {
+  const flagged = [];
+
+  for (const [abonnementId, unpaid] of unpaidByAbonnement) {
+    try {
+      const abonnement = await airtableRequest(() => abonnementsTable.find(abonnementId));
+      const current = abonnement.fields['Statut paiement'];
+      if (unpaid) flagged.push(abonnement.fields['Nom de l\'abonnement'] || abonnementId);
+
+      // Un abonnement n'est remis à jour que s'il avait été signalé impayé
+      const status = unpaid ? UNPAID : (current === UNPAID ? UP_TO_DATE : current);
+      if (status === current) continue;
+
+      await airtableRequest(() => abonnementsTable.update(abonnementId, { 'Statut paiement': status }));
+      logger.info(`${unpaid ? '🚨' : '✅'} Abonnement ${abonnementId} : statut de paiement "${status}"`);
+    } catch (err) {
+      logger.error(`❌ Erreur mise à jour du statut de paiement (abonnement ${abonnementId}) :`, err.message);
+    }
+  }
+
+  return flagged;
+}
+
+// Exécution du script
+main();
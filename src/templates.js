@@ -0,0 +1,173 @@
+// Modèles de texte des factures (sujet, note, libellé des lignes) en français et en anglais, avec variables
+import fs from 'fs';
+import { formatDateFr } from './utils.js';
+
+// Modèles intégrés, un par langue ; INVOICE_TEMPLATES_PATH en ajoute d'autres ou remplace leurs textes
+const BUILTIN_TEMPLATES = {
+  fr: {
+    language: 'fr',
+    subject: 'Abonnement {periodicite} - {service} - {mois}',
+    directDebitNote: 'Facture prélevée automatiquement par prélèvement SEPA. Aucune action requise de votre part.',
+    paymentNote: 'Facture payable par {mode_paiement} au plus tard le {echeance}.',
+    periodNote: 'Période facturée : du {debut} au {fin}',
+    line: '{service} - {mois}',
+    prorataLine: '{service} - prorata du {debut} au {fin}',
+    usageLine: '{service} ({mois})',
+    referenceLabel: 'Réf.',
+  },
+  en: {
+    language: 'en',
+    subject: '{service} - {periodicite} subscription - {mois}',
+    directDebitNote: 'This invoice will be paid automatically by SEPA direct debit. No action is required on your part.',
+    paymentNote: 'Invoice payable by {mode_paiement} no later than {echeance}.',
+    periodNote: 'Billing period: {debut} to {fin}',
+    line: '{service} - {mois}',
+    prorataLine: '{service} - prorated from {debut} to {fin}',
+    usageLine: '{service} ({mois})',
+    referenceLabel: 'Ref.',
+  },
+};
+
+// Libellés propres à chaque langue : périodicités (par nombre de mois) et plage de mois
+const LANGUAGES = {
+  fr: {
+    locale: 'fr-FR',
+    periodicities: { 1: 'mensuel', 3: 'trimestriel', 6: 'semestriel', 12: 'annuel' },
+    range: (from, to) => `${from} à ${to}`,
+  },
+  en: {
+    locale: 'en-GB',
+    periodicities: { 1: 'monthly', 3: 'quarterly', 6: 'half-yearly', 12: 'annual' },
+    range: (from, to) => `${from} to ${to}`,
+  },
+};
+
+// Modèle utilisé par défaut (INVOICE_TEMPLATE)
+const DEFAULT_TEMPLATE = 'fr';
+
+// Modèles chargés une fois par exécution
+let templates = null;
+
+/**
+ * Retourne les modèles de facture : intégrés, complétés par le fichier INVOICE_TEMPLATES_PATH
+ * @returns {Object} - Les modèles, par nom
+ */
+function getTemplates() {
+  if (templates) return templates;
+
+  const loaded = { ...BUILTIN_TEMPLATES };
+  if (process.env.INVOICE_TEMPLATES_PATH) {
+    let custom;
+    try {
+      custom = JSON.parse(fs.readFileSync(process.env.INVOICE_TEMPLATES_PATH, 'utf8'));
+    } catch (error) {
+      throw new Error(`Modèles de facture illisibles (${process.env.INVOICE_TEMPLATES_PATH}) : ${error.message}`);
+    }
+    for (const [name, texts] of Object.entries(custom)) {
+      const unknown = Object.keys(texts).filter((key) => !(key in BUILTIN_TEMPLATES.fr));
+      if (unknown.length) {
+        throw new Error(`Modèle de facture "${name}" : texte(s) inconnu(s) ${unknown.join(', ')} (attendu : ${Object.keys(BUILTIN_TEMPLATES.fr).join(', ')})`);
+      }
+      // Les textes non renseignés sont ceux du modèle intégré de la langue (ou du modèle du même nom)
+      const language = texts.language || loaded[name]?.language || DEFAULT_TEMPLATE;
+      if (!LANGUAGES[language]) {
+        throw new Error(`Modèle de facture "${name}" : langue inconnue ${language} (attendu : ${Object.keys(LANGUAGES).join(', ')})`);
+      }
+      loaded[name] = { ...BUILTIN_TEMPLATES[language], ...loaded[name], ...texts, language };
+    }
+  }
+
+  templates = loaded;
+  return templates;
+}
+
+/**
+ * Oublie les modèles chargés : INVOICE_TEMPLATES_PATH sera relu au prochain accès
+ */
+export function clearTemplateCache() {
+  templates = null;
+}
+
+/**
+ * Retourne le modèle de facture d'un abonnement
+ * @param {string} [name] - Le nom du modèle (champ "Modèle de facture"), à défaut INVOICE_TEMPLATE ou le modèle français
+ * @returns {Object} - Le modèle ({ name, language, subject, directDebitNote, paymentNote, periodNote, line, prorataLine, usageLine, referenceLabel })
+ * @throws {Error} - Si le modèle est inconnu
+ */
+export function getInvoiceTemplate(name) {
+  const key = String(name || process.env.INVOICE_TEMPLATE || DEFAULT_TEMPLATE).trim().toLowerCase();
+  const all = getTemplates();
+  const found = Object.keys(all).find((templateName) => templateName.toLowerCase() === key);
+  if (!found) {
+    throw new Error(`Modèle de facture inconnu : ${name || process.env.INVOICE_TEMPLATE} (attendu : ${Object.keys(all).join(', ')})`);
+  }
+  return { name: found, ...all[found] };
+}
+
+/**
+ * Remplace les variables d'un texte du modèle ({service}, {mois}...)
+ * @param {Object} template - Le modèle (getInvoiceTemplate)
+ * @param {string} key - Le texte à produire (subject, directDebitNote, paymentNote, periodNote, line, prorataLine, usageLine, referenceLabel)
+ * @param {Object} values - Les valeurs des variables
+ * @returns {string} - Le texte
+ * @throws {Error} - Si le texte utilise une variable inconnue
+ */
+export function renderTemplate(template, key, values) {
+  return String(template[key] || '').replace(/\{([^{}]+)\}/g, (match, variable) => {
+    if (!(variable in values)) {
+      throw new Error(`Modèle de facture "${template.name}" (${key}) : variable inconnue ${match} (disponibles : ${Object.keys(values).map((name) => `{${name}}`).join(', ')})`);
+    }
+    return values[variable] ?? '';
+  });
+}
+
+/**
+ * Construit les variables communes d'une facture
+ * @param {Object} template - Le modèle (getInvoiceTemplate)
+ * @param {Object} invoice - Les éléments de la facture
+ * @param {string} invoice.abonnementName - Le nom de l'abonnement
+ * @param {string} invoice.serviceName - Le nom du service (ou de l'abonnement pour une facture groupée)
+ * @param {number} invoice.periodMonths - La durée de la période en mois
+ * @param {Object} [invoice.coveredPeriod] - Les dates couvertes ({ start, end }, YYYY-MM-DD)
+ * @param {string} [invoice.customerReference] - La référence du client (bon de commande...)
+ * @param {string} invoice.dueDate - L'échéance (YYYY-MM-DD)
+ * @param {string} invoice.paymentMethod - La méthode de paiement
+ * @returns {Object} - Les valeurs des variables
+ */
+export function buildTemplateValues(template, { abonnementName, serviceName, periodMonths, coveredPeriod, customerReference, dueDate, paymentMethod }) {
+  const language = LANGUAGES[template.language];
+  return {
+    abonnement: abonnementName || serviceName,
+    service: serviceName,
+    periodicite: language.periodicities[periodMonths] || language.periodicities[1],
+    debut: coveredPeriod ? formatDateFr(coveredPeriod.start) : '',
+    fin: coveredPeriod ? formatDateFr(coveredPeriod.end) : '',
+    mois: coveredPeriod ? formatMonthRange(coveredPeriod.start, coveredPeriod.end, template.language) : '',
+    reference_client: customerReference || '',
+    echeance: formatDateFr(dueDate),
+    mode_paiement: String(paymentMethod || '').toLowerCase(),
+  };
+}
+
+/**
+ * Libellé des mois couverts : "mars 2026", "mars à mai 2026" ou "décembre 2025 à février 2026"
+ * @param {string} start - La première date couverte (YYYY-MM-DD)
+ * @param {string} end - La dernière date couverte (YYYY-MM-DD)
+ * @param {string} [language] - La langue (fr ou en)
+ * @returns {string} - Le libellé
+ */
+export function formatMonthRange(start, end, language = DEFAULT_TEMPLATE) {
+  const { locale, range } = LANGUAGES[language];
+  const [startYear, startMonth] = start.split('-').map(Number);
+  const [endYear, endMonth] = end.split('-').map(Number);
+  const month = (year, monthIndex, withYear) => new Intl.DateTimeFormat(locale, {
+    month: 'long',
+    ...(withYear ? { year: 'numeric' } : {}),
+    timeZone: 'UTC',
+  }).format(new Date(Date.UTC(year, monthIndex - 1, 1)));
+
+  if (startYear === endYear && startMonth === endMonth) {
+    return month(startYear, startMonth, true);
+  }
+  return range(month(startYear, startMonth, startYear !== endYear), month(endYear, endMonth, true));
+}
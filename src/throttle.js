@@ -0,0 +1,81 @@
+// Limitation du débit et de la concurrence des appels aux API (Sellsy, Airtable)
+
+/**
+ * Attend un certain nombre de millisecondes
+ * @param {number} ms - La durée d'attente
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Crée un limiteur de débit : les appels sont espacés pour ne pas dépasser un nombre de requêtes par seconde
+ * @param {number} requestsPerSecond - Le nombre maximal de requêtes démarrées par seconde
+ * @returns {function(Function): Promise<*>} - Fonction qui exécute un appel dès qu'un créneau est libre
+ */
+export function createRateLimiter(requestsPerSecond) {
+  const interval = 1000 / requestsPerSecond;
+  let nextSlot = 0;
+
+  return async function schedule(fn) {
+    const now = Date.now();
+    const wait = Math.max(0, nextSlot - now);
+    nextSlot = Math.max(now, nextSlot) + interval;
+
+    if (wait) await sleep(wait);
+    return fn();
+  };
+}
+
+/**
+ * Calcule le délai avant une nouvelle tentative : backoff exponentiel avec jitter
+ * @param {number} attempt - Le numéro de la tentative échouée (0 pour la première)
+ * @param {Object} options - Les bornes du délai
+ * @param {number} options.baseDelay - Le délai de base en millisecondes (par défaut 1000)
+ * @param {number} options.maxDelay - Le délai maximal en millisecondes (par défaut 30000)
+ * @returns {number} - Le délai en millisecondes
+ */
+export function computeBackoffDelay(attempt, { baseDelay = 1000, maxDelay = 30000 } = {}) {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  // Moitié fixe, moitié aléatoire : évite que les requêtes en échec repartent toutes ensemble
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Convertit un en-tête Retry-After (secondes ou date HTTP) en délai
+ * @param {string|number|undefined} value - La valeur de l'en-tête
+ * @returns {number|null} - Le délai en millisecondes, ou null si absent ou invalide
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Traite une liste avec un nombre limité de traitements simultanés
+ * @param {Array} items - Les éléments à traiter
+ * @param {number} limit - Le nombre maximal de traitements en parallèle
+ * @param {function(*, number): Promise<*>} worker - Le traitement d'un élément
+ * @returns {Promise<Array>} - Les résultats, dans l'ordre des éléments
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function runNext() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, runNext);
+  await Promise.all(workers);
+  return results;
+}
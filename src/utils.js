@@ -1,10 +1,22 @@
+import { logger } from './logger.js';
+
+/**
+ * Convertit une date en Date ; une date calendaire YYYY-MM-DD (Airtable) est lue à minuit local,
+ * new Date('YYYY-MM-DD') étant minuit UTC, soit la veille à l'ouest de Greenwich
+ * @param {Date|string} date - La date
+ * @returns {Date} - La date
+ */
+function parseDate(date) {
+  return new Date(typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) ? `${date}T00:00:00` : date);
+}
+
 /**
  * Formate une date au format YYYY-MM-DD
- * @param {Date} date - La date à formater
+ * @param {Date|string} date - La date à formater
  * @returns {string} - La date formatée
  */
 export function formatDate(date) {
-  const d = new Date(date);
+  const d = parseDate(date);
   let month = '' + (d.getMonth() + 1);
   let day = '' + d.getDate();
   const year = d.getFullYear();
@@ -27,13 +39,30 @@ export function calculateDueDate(date, days = 0) {
   return formatDate(dueDate);
 }
 
+/**
+ * Retourne la date du jour dans le fuseau horaire de l'entreprise (BUSINESS_TIMEZONE, par défaut Europe/Paris),
+ * à minuit heure locale : le jour du mois est celui du calendrier de l'entreprise, quel que soit le fuseau du serveur
+ * @param {string} [timeZone] - Le fuseau horaire IANA
+ * @returns {Date} - La date du jour
+ */
+export function businessToday(timeZone = process.env.BUSINESS_TIMEZONE || 'Europe/Paris') {
+  let today;
+  try {
+    // Le format en-CA donne directement YYYY-MM-DD
+    today = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+  } catch (error) {
+    throw new Error(`Fuseau horaire invalide : ${timeZone}`);
+  }
+  return new Date(`${today}T00:00:00`);
+}
+
 /**
  * Vérifie si une date est aujourd'hui
  * @param {Date|string} date - La date à vérifier
  * @returns {boolean} - Vrai si la date est aujourd'hui
  */
 export function isToday(date) {
-  const today = new Date();
+  const today = businessToday();
   const checkDate = new Date(date);
   
   return (
@@ -42,3 +71,323 @@ export function isToday(date) {
     today.getFullYear() === checkDate.getFullYear()
   );
 }
+
+// Périodicités de facturation supportées (durée en mois et libellé pour le sujet de la facture)
+export const PERIODICITIES = {
+  mensuelle: { months: 1, label: 'mensuel' },
+  trimestrielle: { months: 3, label: 'trimestriel' },
+  semestrielle: { months: 6, label: 'semestriel' },
+  annuelle: { months: 12, label: 'annuel' },
+};
+
+/**
+ * Retourne la périodicité correspondant à une valeur Airtable (ex. "Trimestrielle")
+ * @param {string} [value] - La valeur du champ Périodicité (par défaut mensuelle)
+ * @returns {{name: string, months: number, label: string}|null} - La périodicité, ou null si inconnue
+ */
+export function getPeriodicity(value) {
+  const name = (value || 'mensuelle').trim().toLowerCase();
+  // Accepte aussi le masculin ("Mensuel", "Annuel"...)
+  const key = Object.keys(PERIODICITIES).find(k => k === name || k.replace(/le$/, '') === name);
+  return key ? { name: key, ...PERIODICITIES[key] } : null;
+}
+
+// Régimes de TVA supportés (les factures exonérées ou autoliquidées sont émises à 0 % avec une mention légale)
+export const TAX_REGIMES = {
+  normal: { zeroRated: false, mention: null },
+  exonere: { zeroRated: true, mention: 'Exonération de TVA' },
+  autoliquidation: { zeroRated: true, mention: 'Autoliquidation : TVA due par le preneur (article 196 de la directive 2006/112/CE)' },
+};
+
+/**
+ * Retourne le régime de TVA correspondant à une valeur Airtable (ex. "Autoliquidation")
+ * @param {string} [value] - La valeur du champ Régime TVA (par défaut normal)
+ * @returns {{name: string, zeroRated: boolean, mention: string|null}|null} - Le régime, ou null si inconnu
+ */
+export function getTaxRegime(value) {
+  // Insensible à la casse et aux accents ("Exonéré", "exonere"...)
+  const name = (value || 'normal').trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  const key = Object.keys(TAX_REGIMES).find(k => k === name || `${k}e` === name);
+  return key ? { name: key, ...TAX_REGIMES[key] } : null;
+}
+
+/**
+ * Retourne la période de facturation commençant au mois d'une date
+ * @param {Date|string} date - Une date du premier mois de la période
+ * @param {number} months - La durée de la période en mois (par défaut 1)
+ * @returns {{key: string, start: string, end: string, months: number}} - Clé YYYY-MM (premier mois) et bornes de la période
+ */
+export function getBillingPeriod(date, months = 1) {
+  const d = parseDate(date);
+  const start = new Date(d.getFullYear(), d.getMonth(), 1);
+  const end = new Date(d.getFullYear(), d.getMonth() + months, 0);
+
+  return {
+    key: formatDate(start).slice(0, 7),
+    start: formatDate(start),
+    end: formatDate(end),
+    months,
+  };
+}
+
+/**
+ * Ajoute un nombre de mois à une date (un dernier jour de mois reste un dernier jour de mois)
+ * @param {Date|string} date - La date de départ
+ * @param {number} months - Le nombre de mois à ajouter
+ * @returns {string} - La date obtenue (YYYY-MM-DD)
+ */
+export function addMonths(date, months) {
+  const d = parseDate(date);
+  const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  const targetLastDay = new Date(d.getFullYear(), d.getMonth() + months + 1, 0).getDate();
+  const day = d.getDate() === lastDay ? targetLastDay : Math.min(d.getDate(), targetLastDay);
+  return formatDate(new Date(d.getFullYear(), d.getMonth() + months, day));
+}
+
+/**
+ * Retourne la date de facturation d'un mois (dernier jour du mois si le jour configuré n'existe pas)
+ * @param {number} year - L'année
+ * @param {number} month - Le mois (0-11)
+ * @param {number} billingDay - Le jour de facturation configuré (1-31)
+ * @returns {Date} - La date de facturation
+ */
+export function getBillingDate(year, month, billingDay) {
+  const lastDayOfMonth = new Date(year, month + 1, 0).getDate();
+  return new Date(year, month, Math.min(billingDay, lastDayOfMonth));
+}
+
+/**
+ * Calcule la date de Pâques (algorithme de Meeus/Jones/Butcher)
+ * @param {number} year - L'année
+ * @returns {Date} - Le dimanche de Pâques
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Liste les jours fériés en France métropolitaine pour une année
+ * @param {number} year - L'année
+ * @returns {string[]} - Les jours fériés (YYYY-MM-DD)
+ */
+export function getFrenchPublicHolidays(year) {
+  const easter = getEasterSunday(year);
+  const fromEaster = (days) => formatDate(new Date(easter.getFullYear(), easter.getMonth(), easter.getDate() + days));
+
+  return [
+    `${year}-01-01`, // Jour de l'an
+    fromEaster(1), // Lundi de Pâques
+    `${year}-05-01`, // Fête du travail
+    `${year}-05-08`, // Victoire 1945
+    fromEaster(39), // Ascension
+    fromEaster(50), // Lundi de Pentecôte
+    `${year}-07-14`, // Fête nationale
+    `${year}-08-15`, // Assomption
+    `${year}-11-01`, // Toussaint
+    `${year}-11-11`, // Armistice
+    `${year}-12-25`, // Noël
+  ];
+}
+
+/**
+ * Indique si une date est un jour ouvré (ni samedi, ni dimanche, ni jour férié français)
+ * @param {Date|string} date - La date (YYYY-MM-DD ou Date)
+ * @returns {boolean} - Vrai pour un jour ouvré
+ */
+export function isBusinessDay(date) {
+  const day = formatDate(date);
+  const weekDay = new Date(`${day}T00:00:00`).getDay();
+  return weekDay !== 0 && weekDay !== 6 && !getFrenchPublicHolidays(Number(day.slice(0, 4))).includes(day);
+}
+
+/**
+ * Décale une date sur un jour ouvré selon la règle configurée (BUSINESS_DAY_RULE)
+ * @param {Date|string} date - La date (YYYY-MM-DD ou Date)
+ * @param {string} [rule] - 'suivant' (jour ouvré suivant), 'precedent' (jour ouvré précédent), ou vide pour ne rien décaler
+ * @returns {string} - La date décalée (YYYY-MM-DD)
+ */
+export function adjustToBusinessDay(date, rule) {
+  const step = { suivant: 1, precedent: -1 }[rule];
+  let day = formatDate(date);
+  if (!step) return day;
+
+  while (!isBusinessDay(day)) {
+    day = calculateDueDate(`${day}T00:00:00`, step);
+  }
+  return day;
+}
+
+/**
+ * Formate une date au format JJ/MM/AAAA
+ * @param {Date|string} date - La date à formater
+ * @returns {string} - La date formatée
+ */
+export function formatDateFr(date) {
+  return formatDate(date).split('-').reverse().join('/');
+}
+
+/**
+ * Compte le nombre de jours entre deux dates YYYY-MM-DD, bornes incluses
+ * @param {string} start - La première date
+ * @param {string} end - La dernière date
+ * @returns {number} - Le nombre de jours
+ */
+export function countDays(start, end) {
+  return Math.round((Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / 86400000) + 1;
+}
+
+/**
+ * Liste les périodes échues et pas encore facturées d'un service, de la plus ancienne à la plus récente
+ * @param {Object} options - Les paramètres du calendrier de facturation
+ * @param {number} options.billingDay - Le jour de facturation (1-31), dans le premier mois de chaque période
+ * @param {number} options.months - La durée d'une période en mois (par défaut 1)
+ * @param {Date} options.runDate - La date d'exécution
+ * @param {Date|string|null} options.startDate - La date de début de l'abonnement (cale aussi le premier mois des périodes)
+ * @param {Date|string|null} options.endDate - La date de fin de l'abonnement
+ * @param {string|null} options.lastBilledPeriod - Le premier mois de la dernière période facturée (YYYY-MM)
+ * @param {boolean} options.neverBilled - Vrai si le service n'a encore jamais été facturé
+ * @param {number} options.maxCatchUp - Le nombre maximal de périodes en retard à rattraper
+ * @param {string} [options.businessDayRule] - Décalage des dates de facturation tombant un week-end ou un jour férié (voir adjustToBusinessDay)
+ * @param {boolean} [options.advance] - Vrai pour facturer dès aujourd'hui la période en cours, avant son jour de facturation
+ * @returns {{periods: Object[], postponed: number, dropped: Object[]}} - Les périodes à facturer, le nombre de périodes reportées
+ *   et les périodes en retard abandonnées (rattrapage désactivé alors qu'une période plus récente est facturée)
+ */
+export function listDuePeriods({ billingDay, months = 1, runDate, startDate = null, endDate = null, lastBilledPeriod = null, neverBilled = false, maxCatchUp = 0, businessDayRule, advance = false }) {
+  const today = formatDate(runDate);
+  const start = startDate ? formatDate(startDate) : null;
+  const end = endDate ? formatDate(endDate) : null;
+  const due = [];
+
+  // Période en cours, calée sur le mois de début de l'abonnement (janvier par défaut)
+  const anchorMonth = start ? Number(start.slice(5, 7)) - 1 : 0;
+  const offset = (((runDate.getMonth() - anchorMonth) % months) + months) % months;
+  const currentPeriod = new Date(runDate.getFullYear(), runDate.getMonth() - offset, 1);
+
+  // Sans dernière période connue, seule une facturation prévue aujourd'hui est due :
+  // les factures émises avant le suivi des périodes ne portent pas de référence.
+  // La période précédente est aussi examinée, sa date de facturation de fin de mois pouvant
+  // être décalée à aujourd'hui (règle suivant : le 31/05, un dimanche, facturé le 01/06).
+  // Un service jamais facturé est rattrapé depuis sa date de début, dans la limite du rattrapage.
+  let cursor = new Date(currentPeriod.getFullYear(), currentPeriod.getMonth() - months, 1);
+  let catchUp = Boolean(lastBilledPeriod);
+  if (lastBilledPeriod) {
+    const [year, month] = lastBilledPeriod.split('-').map(Number);
+    cursor = new Date(year, month - 1 + months, 1); // période suivant la dernière période facturée
+  } else if (neverBilled && start) {
+    const startPeriod = new Date(Number(start.slice(0, 4)), anchorMonth, 1);
+    const earliest = new Date(currentPeriod.getFullYear(), currentPeriod.getMonth() - maxCatchUp * months, 1);
+    cursor = startPeriod > earliest ? startPeriod : earliest;
+    catchUp = true;
+  }
+
+  for (;;) {
+    const period = getBillingPeriod(cursor, months);
+    if (end && period.start > end) break;
+
+    // Période de début : facturée à la date de début si elle suit le jour de facturation
+    let billingDate = formatDate(getBillingDate(cursor.getFullYear(), cursor.getMonth(), billingDay));
+    if (start && start > billingDate && start <= period.end) billingDate = start;
+    billingDate = adjustToBusinessDay(billingDate, businessDayRule);
+    // Facturation anticipée (à la demande) : la période en cours est facturée aujourd'hui
+    if (advance && billingDate > today && period.start <= today) billingDate = today;
+    if (!(billingDate <= today)) break;
+
+    if ((!start || period.end >= start) && (catchUp || billingDate === today)) {
+      // Périodes partielles (début ou fin en cours de période) : prorata au nombre de jours couverts
+      const coveredStart = start && start > period.start ? start : period.start;
+      const coveredEnd = end && end < period.end ? end : period.end;
+      const ratio = countDays(coveredStart, coveredEnd) / countDays(period.start, period.end);
+
+      // Première facturation d'un service jamais facturé : rattrapage depuis sa date de début
+      const late = billingDate < today;
+      due.push({ ...period, billingDate, late, backBilled: late && !lastBilledPeriod, coveredStart, coveredEnd, ratio });
+    }
+    cursor = new Date(cursor.getFullYear(), cursor.getMonth() + months, 1);
+  }
+
+  const late = due.filter(period => period.late);
+  if (late.length <= maxCatchUp) {
+    return { periods: due, postponed: 0, dropped: [] };
+  }
+  if (maxCatchUp <= 0) {
+    // Rattrapage désactivé : seules les périodes du jour sont facturées. Une fois la période du jour facturée,
+    // la dernière période facturée la dépasse : les périodes en retard ne seront jamais facturées
+    const current = due.filter(period => !period.late);
+    return current.length
+      ? { periods: current, postponed: 0, dropped: late }
+      : { periods: [], postponed: late.length, dropped: [] };
+  }
+  // Trop de retard : les plus anciennes d'abord, le reste aux exécutions suivantes
+  return { periods: late.slice(0, maxCatchUp), postponed: due.length - maxCatchUp, dropped: [] };
+}
+
+/**
+ * Construit la clé d'idempotence d'une facture (un service, une période)
+ * @param {string} serviceId - L'ID Airtable du service
+ * @param {string} periodKey - La clé de la période de facturation
+ * @returns {string} - La référence unique de la facture
+ */
+export function buildInvoiceReference(serviceId, periodKey) {
+  return `ABO-${serviceId}-${periodKey}`;
+}
+
+/**
+ * Construit la clé d'idempotence d'une consommation facturée
+ * @param {string} usageId - L'ID Airtable de la consommation
+ * @returns {string} - La référence unique de la consommation
+ */
+export function buildUsageReference(usageId) {
+  return `CONSO-${usageId}`;
+}
+
+/**
+ * Analyse les arguments de la ligne de commande (--flag, --option=valeur ou --option valeur)
+ * @param {string[]} argv - Les arguments (process.argv.slice(2))
+ * @returns {Object} - Les options, indexées par nom (true pour un simple flag)
+ */
+export function parseCliArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      options[name] = inlineValue;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      options[name] = argv[++i];
+    } else {
+      options[name] = true;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Vérifie que des variables d'environnement sont définies, et arrête le script sinon
+ * @param {string[]} keys - Les noms des variables requises
+ */
+export function requireEnv(keys) {
+  const missingEnv = keys.filter((key) => !process.env[key]);
+  if (missingEnv.length) {
+    logger.error(`❌ Variables d'environnement manquantes : ${missingEnv.join(', ')}`);
+    process.exit(1);
+  }
+  logger.info('✅ Variables d\'environnement chargées');
+}